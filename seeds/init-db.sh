@@ -18,6 +18,88 @@ psql -v ON_ERROR_STOP=1 --username "$POSTGRES_USER" --dbname "$POSTGRES_DB" <<-'
     metadata   JSONB                        NOT NULL
   );
 
+  -- ── Export job store (shared by every app replica) ──────────────────────────
+  CREATE TABLE IF NOT EXISTS public.export_jobs (
+    export_id     UUID                         PRIMARY KEY,
+    format        VARCHAR(16)                  NOT NULL,
+    formats       JSONB,
+    columns       JSONB                        NOT NULL,
+    compression   VARCHAR(16),
+    compression_level SMALLINT,
+    filter        JSONB,
+    status        VARCHAR(16)                  NOT NULL DEFAULT 'pending',
+    created_at    TIMESTAMP WITH TIME ZONE     NOT NULL DEFAULT NOW(),
+    started_at    TIMESTAMP WITH TIME ZONE,
+    finished_at   TIMESTAMP WITH TIME ZONE,
+    error_message TEXT,
+    rows_written  BIGINT                       NOT NULL DEFAULT 0,
+    bytes_written BIGINT                       NOT NULL DEFAULT 0,
+    background    BOOLEAN                      NOT NULL DEFAULT FALSE,
+    artifact      JSONB,
+    estimated_rows BIGINT,
+    checkpoint_id BIGINT,
+    avro_options  JSONB,
+    parquet_options JSONB,
+    csv_options   JSONB,
+    xml_options   JSONB,
+    dataset       VARCHAR(64)                  NOT NULL DEFAULT 'records',
+    order_by      JSONB,
+    row_limit     BIGINT,
+    sample        JSONB,
+    stream        JSONB,
+    schedule_id   UUID,
+    destination   JSONB,
+    delivery      JSONB,
+    callback_url  TEXT,
+    max_rows_per_file  BIGINT,
+    max_bytes_per_file BIGINT,
+    archive       VARCHAR(8),
+    snapshot      BOOLEAN                      NOT NULL DEFAULT FALSE,
+    snapshot_txid TEXT,
+    heartbeat_at  TIMESTAMP WITH TIME ZONE
+  );
+  CREATE INDEX IF NOT EXISTS export_jobs_status_created_idx
+    ON public.export_jobs (status, created_at);
+  CREATE INDEX IF NOT EXISTS export_jobs_schedule_created_idx
+    ON public.export_jobs (schedule_id, created_at) WHERE schedule_id IS NOT NULL;
+  CREATE TABLE IF NOT EXISTS public.export_streams (
+    name          VARCHAR(64)                  PRIMARY KEY,
+    dataset       VARCHAR(64)                  NOT NULL,
+    watermark_column VARCHAR(63)               NOT NULL,
+    watermark     TEXT,
+    last_export_id UUID,
+    created_at    TIMESTAMP WITH TIME ZONE     NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMP WITH TIME ZONE
+  );
+  CREATE TABLE IF NOT EXISTS public.export_schedules (
+    schedule_id   UUID                         PRIMARY KEY,
+    name          VARCHAR(64)                  NOT NULL,
+    cron          VARCHAR(128)                 NOT NULL,
+    destination   JSONB                        NOT NULL,
+    definition    JSONB                        NOT NULL,
+    enabled       BOOLEAN                      NOT NULL DEFAULT TRUE,
+    next_run_at   TIMESTAMP WITH TIME ZONE,
+    last_run_at   TIMESTAMP WITH TIME ZONE,
+    last_export_id UUID,
+    created_at    TIMESTAMP WITH TIME ZONE     NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMP WITH TIME ZONE     NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS export_schedules_next_run_idx
+    ON public.export_schedules (next_run_at) WHERE enabled;
+  CREATE TABLE IF NOT EXISTS public.export_webhook_deliveries (
+    export_id     UUID                         NOT NULL REFERENCES public.export_jobs (export_id) ON DELETE CASCADE,
+    delivery_id   UUID                         NOT NULL,
+    event         VARCHAR(32)                  NOT NULL,
+    url           TEXT                         NOT NULL,
+    attempt       INTEGER                      NOT NULL,
+    status_code   INTEGER,
+    error         TEXT,
+    duration_ms   INTEGER                      NOT NULL,
+    attempted_at  TIMESTAMP WITH TIME ZONE     NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS export_webhook_deliveries_export_idx
+    ON public.export_webhook_deliveries (export_id, attempted_at);
+
   -- ── Idempotent Seed (only if empty) ─────────────────────────────────────────
   DO $$
   DECLARE
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const { compressionExtension } = require('./writers/compression');
+
+// Completed background exports are materialised here and served on download.
+// Point every replica at the same (shared) volume when running more than one.
+const ARTIFACT_DIR = process.env.ARTIFACT_DIR || '/tmp/export-artifacts';
+
+// File extension per format; compression adds the codec's (".gz", ".zst"...) like the download filenames
+const EXTENSIONS = { csv: 'csv', json: 'json', ndjson: 'ndjson', xml: 'xml', parquet: 'parquet', avro: 'avro', xlsx: 'xlsx', bundle: 'zip' };
+
+/**
+ * File name of an export's output: `<base>.<ext>[.gz|.zz|.br|.zst]`, `<base>.zip|tar`
+ * for an export split into parts, or `<base>.zip` for a bundle of formats.
+ * @param {{format: string, compression: string|null, archive?: string|null}} job
+ * @param {string} base
+ * @returns {string}
+ */
+function exportFileName({ format, compression, archive }, base) {
+  if (archive) return `${base}.${archive}`;
+  return `${base}.${EXTENSIONS[format]}${compressionExtension(compression)}`;
+}
+
+/**
+ * Absolute path of a job's artifact file.
+ * @param {string} fileName - as recorded on the job
+ * @returns {string}
+ */
+function artifactPath(fileName) {
+  return path.join(ARTIFACT_DIR, path.basename(fileName));
+}
+
+/**
+ * Opens a file write stream that the writers can treat as an HTTP response:
+ * `setHeader` calls are captured in `capturedHeaders` so the original
+ * Content-Type / Content-Disposition / Content-Encoding can be replayed when
+ * the file is later served.
+ *
+ * @param {string} filePath
+ * @returns {fs.WriteStream & {headersSent: boolean, setHeader: Function, capturedHeaders: object}}
+ */
+function createFileResponse(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const capturedHeaders = {};
+  const stream = fs.createWriteStream(filePath);
+  // Writers destroy their sink on failure; the error is surfaced to callers
+  // by the writer itself and by closeFileResponse, so don't let it go uncaught.
+  stream.on('error', () => {});
+
+  return Object.assign(stream, {
+    headersSent: false,
+    capturedHeaders,
+    setHeader: (name, value) => {
+      capturedHeaders[name.toLowerCase()] = value;
+    },
+  });
+}
+
+/**
+ * Ends a file response (if the writer has not already) and waits until all
+ * bytes are flushed to disk.
+ * @param {fs.WriteStream} fileRes
+ * @returns {Promise<void>}
+ */
+async function closeFileResponse(fileRes) {
+  if (!fileRes.writableEnded) fileRes.end();
+  await finished(fileRes);
+}
+
+module.exports = {
+  ARTIFACT_DIR,
+  artifactPath,
+  exportFileName,
+  createFileResponse,
+  closeFileResponse,
+};
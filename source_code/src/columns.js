@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Compiles the `columns` mapping of an export job into a parameterised SQL
+ * SELECT list, plus the resolved columns the writers work from.
+ *
+ * A column reads a column of the job's dataset (see datasets.js), a JSONB
+ * path below one of its JSON columns or a constant, optionally runs it
+ * through a chain of whitelisted transforms and may declare the type it is
+ * exported as:
+ *
+ *   { source: 'name', target: 'Name' }
+ *   { source: 'metadata.address.city', target: 'city', type: 'string' }
+ *   { source: 'created_at', target: 'day',
+ *     transforms: [{ fn: 'formatDate', format: 'YYYY-MM-DD', timezone: 'Europe/Berlin' }] }
+ *   { constant: 'v2', target: 'schema_version' }
+ *
+ * Every value is computed by PostgreSQL and every literal (paths, formats,
+ * time zones, defaults, constants) is a bound parameter, like the filter
+ * compiler. A resolved column carries the row `key` its value is selected as
+ * and its output `type`, which the writers use to type their schemas.
+ */
+
+/**
+ * @typedef {object} Column
+ * @property {string|null} source   - dataset column or `<json column>.<path>`; null for constants
+ * @property {string}      target   - output name
+ * @property {string}      key      - property of the selected row holding the value
+ * @property {string}      type     - string | long | double | decimal | boolean | timestamp | json
+ * @property {boolean}     nullable - as declared by the dataset for plain columns; false for constants
+ * @property {number}      [precision] - decimal columns, when known: the dataset's NUMERIC(precision, scale)
+ * @property {number}      [scale]     - … or the scale of a `round` transform
+ */
+
+// Output types and the PostgreSQL type each is computed as
+const SQL_TYPES = {
+  string: 'text',
+  long: 'bigint',
+  double: 'double precision',
+  decimal: 'numeric',
+  boolean: 'boolean',
+  timestamp: 'timestamptz',
+  json: 'jsonb',
+};
+
+const NUMERIC_TYPES = new Set(['long', 'double', 'decimal']);
+
+// Transforms: the input types each accepts (JSONB values are converted to
+// the first of them; `null` accepts any type) and its arguments
+const TRANSFORMS = {
+  upper: { accepts: ['string'], args: [] },
+  lower: { accepts: ['string'], args: [] },
+  trim: { accepts: ['string'], args: [] },
+  round: { accepts: ['decimal', 'long', 'double'], args: ['scale'] },
+  formatDate: { accepts: ['timestamp'], args: ['format', 'timezone'] },
+  default: { accepts: null, args: ['value'] },
+};
+
+const MAX_TRANSFORMS = 8;
+const MAX_ROUND_SCALE = 4;
+const MAX_FORMAT_LENGTH = 64;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD"T"HH24:MI:SS';
+const JSON_PATH_SEGMENT = /^[A-Za-z0-9_]+$/;
+const INTEGER_PATTERN = /^-?\d{1,19}$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Validates a literal (constant or default) against an output type and
+ * returns it as bound to PostgreSQL.
+ * @param {string} type
+ * @param {*}      value
+ * @param {string} target - for error messages
+ * @returns {*}
+ */
+function normaliseLiteral(type, value, target) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      break;
+    case 'long':
+      if (Number.isSafeInteger(value)) return value;
+      if (typeof value === 'string' && INTEGER_PATTERN.test(value)) return value;
+      break;
+    case 'double':
+    case 'decimal':
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      if (typeof value === 'string' && NUMERIC_PATTERN.test(value)) return value;
+      break;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      break;
+    case 'timestamp':
+      if (typeof value === 'string' || typeof value === 'number') {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) return date.toISOString();
+      }
+      break;
+    case 'json':
+      if (value !== undefined && value !== null) return JSON.stringify(value);
+      break;
+  }
+  throw new Error(`Invalid ${type} value for column "${target}": ${JSON.stringify(value)}`);
+}
+
+/**
+ * Infers the type of a constant that declares none.
+ * @param {*} value
+ * @returns {string}
+ */
+function literalType(value) {
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'boolean';
+  if (Number.isSafeInteger(value)) return 'long';
+  if (typeof value === 'number') return 'double';
+  return 'json';
+}
+
+/**
+ * Converts a SQL expression between output types. JSONB values of another
+ * JSON type (e.g. a string where a number is expected) become NULL rather
+ * than failing the export.
+ * @param {string} expr
+ * @param {string} from
+ * @param {string} to
+ * @param {string} target - for error messages
+ * @returns {string}
+ */
+function convertExpr(expr, from, to, target) {
+  if (from === to) return expr;
+  if (to === 'json') return `to_jsonb(${expr})`;
+  if (to === 'string') return from === 'json' ? `(${expr} #>> '{}')` : `(${expr})::text`;
+  if (NUMERIC_TYPES.has(to)) {
+    if (NUMERIC_TYPES.has(from)) return `(${expr})::${SQL_TYPES[to]}`;
+    if (from === 'json') {
+      const cast = to === 'decimal' ? '' : `::${SQL_TYPES[to]}`;
+      return `CASE WHEN jsonb_typeof(${expr}) = 'number' THEN (${expr} #>> '{}')::numeric${cast} END`;
+    }
+  }
+  if (to === 'boolean' && from === 'json') {
+    return `CASE WHEN jsonb_typeof(${expr}) = 'boolean' THEN (${expr} #>> '{}')::boolean END`;
+  }
+  throw new Error(`Column "${target}" cannot be converted from ${from} to ${to}.`);
+}
+
+/**
+ * Resolves a column `source` to its SQL expression and type.
+ * @param {string} source
+ * @param {import('./datasets').Dataset} dataset
+ * @param {function(*): string} bind
+ * @returns {{expr: string, type: string, nullable: boolean, path: string[]|null, precision?: number, scale?: number}}
+ */
+function resolveSource(source, dataset, bind) {
+  const [name, ...path] = source.split('.');
+  const column = dataset.columns.get(name);
+
+  if (!column) {
+    throw new Error(`Invalid column(s): ${source}`);
+  }
+  const { type, nullable, precision, scale } = column;
+  if (path.length === 0) {
+    return { expr: `"${name}"`, type, nullable, path: null, precision, scale };
+  }
+  if (type !== 'json') {
+    throw new Error(`Column "${name}" does not support a JSON path.`);
+  }
+  if (!path.every((seg) => JSON_PATH_SEGMENT.test(seg))) {
+    throw new Error(`Invalid JSON path in column source: ${source}`);
+  }
+  // A JSON null becomes SQL NULL, so "default" applies to it as well
+  return { expr: `NULLIF("${name}" #> ${bind(path)}::text[], 'null'::jsonb)`, type, nullable: true, path };
+}
+
+/**
+ * Applies one transform to a compiled expression.
+ * @param {{expr: string, type: string}} value
+ * @param {object} transform
+ * @param {function(*): string} bind
+ * @param {string} target - for error messages
+ * @returns {{expr: string, type: string, scale?: number}}
+ */
+function applyTransform({ expr, type }, transform, bind, target) {
+  if (!transform || typeof transform !== 'object' || Array.isArray(transform)) {
+    throw new Error(`Each transform of column "${target}" must be an object.`);
+  }
+  const { fn, ...args } = transform;
+  const spec = Object.prototype.hasOwnProperty.call(TRANSFORMS, fn) ? TRANSFORMS[fn] : null;
+  if (!spec) {
+    throw new Error(
+      `Unknown transform "${fn}" on column "${target}". Must be one of: ${Object.keys(TRANSFORMS).join(', ')}.`
+    );
+  }
+
+  if (spec.accepts && !spec.accepts.includes(type)) {
+    if (type !== 'json') {
+      throw new Error(`Transform "${fn}" cannot be applied to the ${type} column "${target}".`);
+    }
+    expr = convertExpr(expr, type, spec.accepts[0], target);
+    type = spec.accepts[0];
+  }
+
+  const unknown = Object.keys(args).filter((key) => !spec.args.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown argument "${unknown[0]}" for transform "${fn}" on column "${target}".`);
+  }
+
+  switch (fn) {
+    case 'upper':
+    case 'lower':
+    case 'trim':
+      return { expr: `${fn}(${expr})`, type: 'string' };
+    case 'round': {
+      const scale = args.scale === undefined ? 0 : args.scale;
+      if (!Number.isInteger(scale) || scale < 0 || scale > MAX_ROUND_SCALE) {
+        throw new Error(
+          `"scale" of transform "round" on column "${target}" must be an integer between 0 and ${MAX_ROUND_SCALE}.`
+        );
+      }
+      const numeric = type === 'decimal' ? expr : `(${expr})::numeric`;
+      return { expr: `round(${numeric}, ${bind(scale)}::int)`, type: 'decimal', scale };
+    }
+    case 'formatDate': {
+      const format = args.format === undefined ? DEFAULT_DATE_FORMAT : args.format;
+      const timezone = args.timezone === undefined ? 'UTC' : args.timezone;
+      if (typeof format !== 'string' || format.length === 0 || format.length > MAX_FORMAT_LENGTH) {
+        throw new Error(
+          `"format" of transform "formatDate" on column "${target}" must be a string of at most ${MAX_FORMAT_LENGTH} characters.`
+        );
+      }
+      if (!isTimeZone(timezone)) {
+        throw new Error(
+          `Invalid "timezone" for transform "formatDate" on column "${target}": ${JSON.stringify(timezone)}`
+        );
+      }
+      return { expr: `to_char(${expr} AT TIME ZONE ${bind(timezone)}, ${bind(format)})`, type: 'string' };
+    }
+    default: {
+      // default-if-null
+      const literal = normaliseLiteral(type, args.value, target);
+      return { expr: `COALESCE(${expr}, ${bind(literal)}::${SQL_TYPES[type]})`, type };
+    }
+  }
+}
+
+/**
+ * Whether a string names an IANA time zone (as PostgreSQL's AT TIME ZONE
+ * accepts them).
+ * @param {*} timezone
+ * @returns {boolean}
+ */
+function isTimeZone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compiles a single column mapping entry.
+ * @param {object} column
+ * @param {number} index
+ * @param {import('./datasets').Dataset} dataset
+ * @param {function(*): string} bind
+ * @returns {{column: Column, sql: string}}
+ */
+function compileColumn(column, index, dataset, bind) {
+  if (!column || typeof column !== 'object' || Array.isArray(column)) {
+    throw new Error('Each column must be an object.');
+  }
+  const { source, target, constant, type, transforms, ...rest } = column;
+  const isConstant = constant !== undefined;
+
+  if (typeof target !== 'string' || !target || (!isConstant && (typeof source !== 'string' || !source))) {
+    throw new Error('Each column must have non-empty "source" and "target" string fields.');
+  }
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown field "${unknown[0]}" on column "${target}".`);
+  }
+  if (isConstant && source !== undefined) {
+    throw new Error(`Column "${target}" must have either a "source" or a "constant", not both.`);
+  }
+  if (type !== undefined && !Object.prototype.hasOwnProperty.call(SQL_TYPES, type)) {
+    throw new Error(`Invalid "type" on column "${target}". Must be one of: ${Object.keys(SQL_TYPES).join(', ')}.`);
+  }
+  if (transforms !== undefined && (!Array.isArray(transforms) || transforms.length > MAX_TRANSFORMS)) {
+    throw new Error(`"transforms" on column "${target}" must be an array of at most ${MAX_TRANSFORMS} transforms.`);
+  }
+
+  let value;
+  let path = null;
+  let nullable = false;
+  if (isConstant) {
+    if (constant === null) throw new Error(`The constant of column "${target}" must not be null.`);
+    const constantType = type || literalType(constant);
+    value = {
+      expr: `${bind(normaliseLiteral(constantType, constant, target))}::${SQL_TYPES[constantType]}`,
+      type: constantType,
+    };
+  } else {
+    ({ path, nullable, ...value } = resolveSource(source, dataset, bind));
+  }
+
+  for (const transform of transforms || []) {
+    value = applyTransform(value, transform, bind, target);
+  }
+  const outputType = type || value.type;
+  const expr = convertExpr(value.expr, value.type, outputType, target);
+  // Only a decimal that stays one keeps its precision and scale
+  const format = {};
+  if (outputType === 'decimal' && value.type === 'decimal') {
+    if (value.precision !== undefined) format.precision = value.precision;
+    if (value.scale !== undefined) format.scale = value.scale;
+  }
+
+  // Plain physical columns keep their own name as row key, so rows selected
+  // with `SELECT id, name, …` (e.g. by the benchmark) fit them as well
+  if (!isConstant && !path && expr === `"${source}"`) {
+    return { column: { source, target, key: source, type: outputType, nullable, ...format }, sql: expr };
+  }
+
+  const key = `_c${index}`;
+  return {
+    column: { source: isConstant ? null : source, target, key, type: outputType, nullable: !isConstant, ...format },
+    sql: `${expr} AS "${key}"`,
+  };
+}
+
+/**
+ * Builds the SELECT list for a job's column mapping, appending its literals
+ * to `params`. Throws on any invalid column, transform or type so callers can
+ * validate a mapping up front, like `buildWhereClause`.
+ *
+ * @param {Array<object>} columns
+ * @param {import('./datasets').Dataset} dataset - the dataset the sources name columns of
+ * @param {Array} [params] - bound parameters collected so far
+ * @returns {{selectClause: string, columns: Column[], params: Array}}
+ */
+function buildSelectClause(columns, dataset, params = []) {
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  const compiled = columns.map((column, index) => compileColumn(column, index, dataset, bind));
+  return {
+    selectClause: compiled.map((c) => c.sql).join(', '),
+    columns: compiled.map((c) => c.column),
+    params,
+  };
+}
+
+/**
+ * Resolves a job's column mapping to the columns the writers consume.
+ * @param {Array<object>} columns
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {Column[]}
+ */
+function resolveColumns(columns, dataset) {
+  return buildSelectClause(columns, dataset).columns;
+}
+
+module.exports = { buildSelectClause, resolveColumns };
@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Five-field cron expressions for scheduled exports, evaluated in UTC:
+ *
+ *   ┌ minute (0–59)
+ *   │ ┌ hour (0–23)
+ *   │ │ ┌ day of month (1–31)
+ *   │ │ │ ┌ month (1–12 or JAN–DEC)
+ *   │ │ │ │ ┌ day of week (0–7 or SUN–SAT; 0 and 7 are Sunday)
+ *   0 2 * * 1-5      02:00 every weekday
+ *
+ * Each field is `*`, a value, a range `a-b`, a stepped range `a-b/n` (a
+ * step on `*` covers the whole field, on a single value runs to its end), or
+ * a comma-separated list of those. As in classic cron, when both day fields
+ * are restricted a day matches if either does. `@hourly`, `@daily`,
+ * `@weekly`, `@monthly` and `@yearly` are accepted as shorthands.
+ */
+
+/**
+ * @typedef {object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days     - days of the month
+ * @property {Set<number>} months   - 1–12
+ * @property {Set<number>} weekdays - 0–6, Sunday first
+ * @property {boolean} anyDay     - day-of-month field is `*`
+ * @property {boolean} anyWeekday - day-of-week field is `*`
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// A schedule that has not matched within this many years never will (e.g. 30 FEB)
+const SEARCH_YEARS = 8;
+
+/**
+ * Parses one value of a field: a number or, where allowed, a name.
+ * @param {string} text
+ * @param {object} field
+ * @returns {number}
+ */
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index !== -1 ? index + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`Invalid ${field.name} "${text}" in cron expression.`);
+  }
+  return value;
+}
+
+/**
+ * Expands one field into the set of values it matches.
+ * @param {string} text
+ * @param {object} field
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, ...extra] = part.split('/');
+    let step = 1;
+    if (stepText !== undefined) {
+      step = /^\d+$/.test(stepText) ? Number(stepText) : 0;
+      if (step < 1 || extra.length) throw new Error(`Invalid step "${part}" in cron expression.`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2 || bounds.some((bound) => bound === '')) {
+        throw new Error(`Invalid ${field.name} "${part}" in cron expression.`);
+      }
+      from = parseValue(bounds[0], field);
+      // `a/n` steps from a to the end of the field
+      to = bounds.length === 2 ? parseValue(bounds[1], field) : stepText !== undefined ? field.max : from;
+      if (from > to) throw new Error(`Invalid range "${part}" in cron expression.`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression. Throws with a client-facing message.
+ * @param {string} expression
+ * @returns {CronSchedule}
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('"cron" must be a string.');
+  }
+  const trimmed = expression.trim();
+  const text = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('"cron" must have five fields: minute hour day-of-month month day-of-week.');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is another name for Sunday
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  const schedule = {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+  if (!nextRun(schedule, new Date())) {
+    throw new Error(`Cron expression "${expression}" never matches a date.`);
+  }
+  return schedule;
+}
+
+/**
+ * Whether a schedule runs on the (UTC) day of a date.
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.anyDay) return weekday;
+  if (schedule.anyWeekday) return day;
+  return day || weekday;
+}
+
+/**
+ * First time strictly after `after` that the schedule matches.
+ * Skips whole months, days and hours that cannot match, so a search costs at
+ * most a few thousand steps.
+ * @param {CronSchedule} schedule
+ * @param {Date} after
+ * @returns {Date|null} null when the schedule never matches
+ */
+function nextRun(schedule, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getUTCFullYear() + SEARCH_YEARS;
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
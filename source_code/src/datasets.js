@@ -0,0 +1,238 @@
+'use strict';
+
+const fs = require('fs');
+const { pool } = require('./db');
+
+/**
+ * Registry of the tables and views exports can read from (`dataset` on a job).
+ *
+ * The built-in `records` dataset (public.records) is always available. More
+ * are declared in the JSON file named by DATASETS_FILE, read once at startup:
+ *
+ *   {
+ *     "orders":    { "table": "sales.fact_orders", "orderKey": "order_id" },
+ *     "customers": { "table": "crm.v_customers_eu", "orderKey": "customer_id",
+ *                    "columns": ["customer_id", "email", "signed_up_at", "attributes"] }
+ *   }
+ *
+ * `table` is a table or view, schema-qualified or in `public`. `orderKey`
+ * (default `id`) is the unique integer column rows are streamed, checkpointed
+ * and resumed by. `columns` allowlists the exportable columns; without it
+ * every column of a supported type is exportable.
+ *
+ * Column types are introspected from information_schema on first use and
+ * cached for the life of the process, so a registry entry only ever names
+ * identifiers; every one of them is validated and double-quoted in the SQL.
+ */
+
+/**
+ * @typedef {object} DatasetColumn
+ * @property {string}  type     - output type, see columns.js
+ * @property {boolean} nullable
+ * @property {number}  [precision] - decimal columns: declared NUMERIC(precision, scale)
+ * @property {number}  [scale]
+ */
+
+/**
+ * @typedef {object} Dataset
+ * @property {string} name
+ * @property {string} schema
+ * @property {string} table
+ * @property {string} relation - quoted `"schema"."table"` for SQL
+ * @property {string} kind     - table | view
+ * @property {string} orderKey - integer column rows are ordered and resumed by
+ * @property {Map<string, DatasetColumn>} columns - exportable columns in table order
+ */
+
+const DEFAULT_DATASET = 'records';
+
+const DATASET_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+// information_schema.columns.data_type → output type; other types
+// (arrays, uuid, intervals, plain json, …) are not exportable
+const PG_TYPES = {
+  smallint: 'long',
+  integer: 'long',
+  bigint: 'long',
+  numeric: 'decimal',
+  real: 'double',
+  'double precision': 'double',
+  text: 'string',
+  'character varying': 'string',
+  character: 'string',
+  boolean: 'boolean',
+  date: 'timestamp',
+  'timestamp without time zone': 'timestamp',
+  'timestamp with time zone': 'timestamp',
+  jsonb: 'json',
+};
+
+// public.records is known up front, so it never waits on introspection
+const RECORDS = {
+  name: DEFAULT_DATASET,
+  schema: 'public',
+  table: 'records',
+  relation: '"public"."records"',
+  kind: 'table',
+  orderKey: 'id',
+  columns: new Map([
+    ['id', { type: 'long', nullable: false }],
+    ['created_at', { type: 'timestamp', nullable: false }],
+    ['name', { type: 'string', nullable: false }],
+    ['value', { type: 'decimal', nullable: false, precision: 18, scale: 4 }],
+    ['metadata', { type: 'json', nullable: false }],
+  ]),
+};
+
+/**
+ * Validates one registry entry. Throws on a malformed entry so a bad
+ * DATASETS_FILE stops the server at startup.
+ * @param {string} name
+ * @param {*} entry
+ * @returns {{name: string, schema: string, table: string, orderKey: string, allowed: string[]|null}}
+ */
+function parseEntry(name, entry) {
+  if (!DATASET_NAME.test(name)) {
+    throw new Error(`Invalid dataset name "${name}".`);
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`Dataset "${name}" must be an object.`);
+  }
+  const { table, orderKey = 'id', columns, ...rest } = entry;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown field "${unknown[0]}" on dataset "${name}".`);
+  }
+
+  const parts = typeof table === 'string' ? table.split('.') : [];
+  if (parts.length === 1) parts.unshift('public');
+  if (parts.length !== 2 || !parts.every((part) => IDENTIFIER.test(part))) {
+    throw new Error(`Dataset "${name}" needs a "table" of the form "schema.table".`);
+  }
+  if (typeof orderKey !== 'string' || !IDENTIFIER.test(orderKey)) {
+    throw new Error(`Invalid "orderKey" on dataset "${name}".`);
+  }
+  if (
+    columns !== undefined &&
+    (!Array.isArray(columns) ||
+      columns.length === 0 ||
+      !columns.every((col) => typeof col === 'string' && IDENTIFIER.test(col)))
+  ) {
+    throw new Error(`"columns" on dataset "${name}" must be a non-empty array of column names.`);
+  }
+
+  return { name, schema: parts[0], table: parts[1], orderKey, allowed: columns || null };
+}
+
+/**
+ * Reads the registry file, if any.
+ * @param {string|undefined} file
+ * @returns {Map<string, ReturnType<typeof parseEntry>>}
+ */
+function loadRegistry(file) {
+  const entries = new Map();
+  if (!file) return entries;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read DATASETS_FILE ${file}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`DATASETS_FILE ${file} must contain an object of datasets.`);
+  }
+  for (const [name, entry] of Object.entries(config)) {
+    if (name === DEFAULT_DATASET) {
+      throw new Error(`Dataset "${DEFAULT_DATASET}" is built in and cannot be redefined.`);
+    }
+    entries.set(name, parseEntry(name, entry));
+  }
+  return entries;
+}
+
+const registry = loadRegistry(process.env.DATASETS_FILE);
+
+// name → Promise<Dataset>; a failed introspection is retried on next use
+const resolved = new Map([[DEFAULT_DATASET, Promise.resolve(RECORDS)]]);
+
+/**
+ * The precision and scale of a NUMERIC(p, s) column. A plain NUMERIC has
+ * neither, and a negative scale (PostgreSQL 15+) has no Parquet or Avro
+ * equivalent; both are written with the writers' default.
+ * @param {{data_type: string, numeric_precision: number|null, numeric_scale: number|null}} row
+ * @returns {{precision?: number, scale?: number}}
+ */
+function numericFormat({ data_type: dataType, numeric_precision: precision, numeric_scale: scale }) {
+  if (dataType !== 'numeric' || precision === null || scale === null || scale < 0 || scale > precision) return {};
+  return { precision: Number(precision), scale: Number(scale) };
+}
+
+/**
+ * Introspects a registry entry's columns and checks its allowlist and
+ * ordering key against them.
+ * @param {ReturnType<typeof parseEntry>} entry
+ * @returns {Promise<Dataset>}
+ */
+async function introspect({ name, schema, table, orderKey, allowed }) {
+  const { rows } = await pool.query(
+    `SELECT c.column_name, c.data_type, c.is_nullable, c.numeric_precision, c.numeric_scale, t.table_type
+       FROM information_schema.columns c
+       JOIN information_schema.tables t USING (table_schema, table_name)
+      WHERE c.table_schema = $1 AND c.table_name = $2
+      ORDER BY c.ordinal_position`,
+    [schema, table]
+  );
+  if (rows.length === 0) {
+    throw new Error(`Dataset "${name}": relation ${schema}.${table} does not exist.`);
+  }
+
+  const columns = new Map();
+  for (const row of rows) {
+    const type = PG_TYPES[row.data_type];
+    if (!type || !IDENTIFIER.test(row.column_name)) continue;
+    if (allowed && !allowed.includes(row.column_name) && row.column_name !== orderKey) continue;
+    columns.set(row.column_name, { type, nullable: row.is_nullable === 'YES', ...numericFormat(row) });
+  }
+
+  const missing = (allowed || []).filter((col) => !columns.has(col));
+  if (missing.length) {
+    throw new Error(`Dataset "${name}": column(s) missing or of an unsupported type: ${missing.join(', ')}`);
+  }
+  const key = columns.get(orderKey);
+  if (!key || key.type !== 'long') {
+    throw new Error(`Dataset "${name}": "orderKey" ${orderKey} must be an integer column.`);
+  }
+  if (allowed && !allowed.includes(orderKey)) columns.delete(orderKey);
+
+  const kind = rows[0].table_type === 'BASE TABLE' ? 'table' : 'view';
+  return { name, schema, table, relation: `"${schema}"."${table}"`, kind, orderKey, columns };
+}
+
+/**
+ * Looks up a dataset by name, introspecting it on first use.
+ * Rejects when a registered relation cannot be introspected.
+ * @param {string} [name] - defaults to `records`
+ * @returns {Promise<Dataset|null>} null if no such dataset is registered
+ */
+function getDataset(name = DEFAULT_DATASET) {
+  if (!resolved.has(name)) {
+    const entry = registry.get(name);
+    if (!entry) return Promise.resolve(null);
+    const promise = introspect(entry);
+    promise.catch(() => resolved.delete(name));
+    resolved.set(name, promise);
+  }
+  return resolved.get(name);
+}
+
+/**
+ * Names of every registered dataset, built-in first.
+ * @returns {string[]}
+ */
+function listDatasets() {
+  return [DEFAULT_DATASET, ...registry.keys()];
+}
+
+module.exports = { getDataset, listDatasets, DEFAULT_DATASET };
@@ -15,50 +15,139 @@ pool.on('error', (err) => {
   console.error('[db] Unexpected client error:', err.message);
 });
 
+// ── Snapshots ───────────────────────────────────────────────────────────────
+// pg_export_snapshot() identifiers, e.g. 00000003-0000001B-1
+const SNAPSHOT_ID = /^[0-9A-F]+-[0-9A-F]+(-[0-9]+)?$/i;
+
+/**
+ * @typedef {object} Snapshot
+ * @property {string} id   - exported snapshot identifier, for SET TRANSACTION SNAPSHOT
+ * @property {string} txid - the snapshot as `xmin:xmax:xip_list` (pg_current_snapshot)
+ * @property {() => Promise<void>} release - ends the exporting transaction
+ */
+
+/**
+ * Opens a read-only REPEATABLE READ transaction on a pooled client and
+ * exports its snapshot, so that every connection of one export can read the
+ * database in exactly the same state (see importSnapshot). An exported
+ * snapshot can only be imported while this transaction is open: release it
+ * once the export is over.
+ * @returns {Promise<Snapshot>}
+ */
+async function openSnapshot() {
+  const client = await pool.connect();
+  let rows;
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    ({ rows } = await client.query('SELECT pg_export_snapshot() AS id, pg_current_snapshot()::text AS txid'));
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  let released = false;
+  return {
+    id: rows[0].id,
+    txid: rows[0].txid,
+    async release() {
+      if (released) return;
+      released = true;
+      try {
+        await client.query('COMMIT');
+        client.release();
+      } catch (err) {
+        client.release(err);
+      }
+    },
+  };
+}
+
+/**
+ * Begins a read-only REPEATABLE READ transaction on `client` that sees an
+ * exported snapshot. The caller ends it (COMMIT) before releasing the client.
+ * @param {import('pg').PoolClient} client
+ * @param {string} snapshotId
+ */
+async function importSnapshot(client, snapshotId) {
+  if (!SNAPSHOT_ID.test(snapshotId)) throw new Error(`Invalid snapshot id: ${snapshotId}`);
+  await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+  // SET TRANSACTION SNAPSHOT takes a literal, not a bound parameter
+  await client.query(`SET TRANSACTION SNAPSHOT '${snapshotId}'`);
+}
+
+/**
+ * `pool.query`, run in an exported snapshot when one is given.
+ * @param {string|null|undefined} snapshotId
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<import('pg').QueryResult>}
+ */
+async function queryInSnapshot(snapshotId, sql, params = []) {
+  if (!snapshotId) return pool.query(sql, params);
+  const client = await pool.connect();
+  let error;
+  try {
+    await importSnapshot(client, snapshotId);
+    const result = await client.query(sql, params);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    // Discard the connection rather than return it mid-transaction
+    error = err;
+    throw err;
+  } finally {
+    client.release(error);
+  }
+}
+
+// ── Cursor ──────────────────────────────────────────────────────────────────
+
 /**
  * Opens a pg-cursor against the pool and yields row batches.
  * The caller is responsible for piping / writing each batch promptly to avoid
  * accumulating rows in memory.
  *
+ * The cursor is closed and the client released however iteration ends:
+ * exhaustion, an error, the consumer breaking out, `return()` being called on
+ * the generator, or `options.signal` aborting (checked before every read).
+ *
  * @param {string} sql          - Parameterised SQL query (SELECT …)
  * @param {Array}  params       - Bound parameters
  * @param {number} batchSize    - Rows per cursor read (default from env)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - stops the cursor when aborted
+ * @param {string}  [options.snapshot] - exported snapshot to read in (see openSnapshot)
  * @returns {AsyncGenerator<object[]>}
  */
-async function* streamRows(sql, params = [], batchSize) {
+async function* streamRows(sql, params = [], batchSize, options = {}) {
   const size = batchSize || parseInt(process.env.DB_CURSOR_BATCH_SIZE, 10) || 500;
+  const { signal, snapshot } = options;
   const client = await pool.connect();
+  let cursor;
 
   try {
-    const cursor = client.query(new Cursor(sql, params));
+    if (snapshot) await importSnapshot(client, snapshot);
+    cursor = client.query(new Cursor(sql, params));
 
     while (true) {
+      if (signal) signal.throwIfAborted();
       const rows = await cursor.read(size);
       if (rows.length === 0) break;
       yield rows;
     }
-
-    await cursor.close();
   } finally {
-    client.release();
-  }
-}
-
-/**
- * Returns a SELECT statement restricted to the caller-specified columns.
- * Column names are validated against an allowlist to prevent SQL injection.
- *
- * @param {Array<{source: string, target: string}>} columns
- * @returns {string} SQL fragment, e.g. "id, name, value"
- */
-const ALLOWED_COLUMNS = new Set(['id', 'created_at', 'name', 'value', 'metadata']);
-
-function buildSelectClause(columns) {
-  const invalid = columns.filter((c) => !ALLOWED_COLUMNS.has(c.source));
-  if (invalid.length) {
-    throw new Error(`Invalid column(s): ${invalid.map((c) => c.source).join(', ')}`);
+    // Close the portal before releasing so the client is reusable; if that
+    // fails the connection is discarded instead of going back to the pool
+    let closeError;
+    try {
+      if (cursor) await cursor.close();
+      // Ends the snapshot's transaction (a rollback if it failed)
+      if (snapshot) await client.query('COMMIT');
+    } catch (err) {
+      closeError = err;
+    }
+    client.release(closeError);
   }
-  return columns.map((c) => `"${c.source}"`).join(', ');
 }
 
-module.exports = { pool, streamRows, buildSelectClause, ALLOWED_COLUMNS };
+module.exports = { pool, streamRows, openSnapshot, queryInSnapshot };
@@ -0,0 +1,158 @@
+'use strict';
+
+const fs = require('fs');
+const local = require('./local');
+const s3 = require('./s3');
+const sftp = require('./sftp');
+const { encodedMediaType } = require('../writers/compression');
+
+/**
+ * Registry of the places background exports can deliver their output to
+ * (`destination` on a job or schedule).
+ *
+ * The built-in `local` destination is EXPORT_OUTPUT_DIR. More are declared in
+ * the JSON file named by DESTINATIONS_FILE, read once at startup:
+ *
+ *   {
+ *     "lake":    { "type": "s3", "bucket": "data-lake", "prefix": "exports/",
+ *                  "endpoint": "http://minio:9000", "forcePathStyle": true },
+ *     "partner": { "type": "sftp", "host": "sftp.example.com", "username": "export",
+ *                  "privateKeyFile": "/run/secrets/partner_key", "directory": "/incoming" },
+ *     "archive": { "type": "local", "directory": "/mnt/archive" }
+ *   }
+ *
+ * Connection details and credentials stay in the registry (or the
+ * environment); a job only names a destination and a relative `path` inside
+ * it, so the job store never holds secrets and clients cannot point the
+ * server at arbitrary hosts.
+ */
+
+/**
+ * @typedef {object} Delivery
+ * @property {string} destination - registry name
+ * @property {string} location    - file path, s3:// or sftp:// URL of the output
+ * @property {string} [key]       - S3 object key
+ * @property {string} [url]       - HTTP URL of the S3 object
+ */
+
+const DEFAULT_DESTINATION = 'local';
+
+const DESTINATION_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const PATH_SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,127}$/;
+const MAX_PATH_DEPTH = 8;
+
+const TYPES = { local, s3, sftp };
+
+/**
+ * Reads the registry file, if any.
+ * @param {string|undefined} file
+ * @returns {Map<string, {type: string, config: object}>}
+ */
+function loadRegistry(file) {
+  const entries = new Map([
+    [DEFAULT_DESTINATION, { type: 'local', config: local.parseConfig(DEFAULT_DESTINATION, {}) }],
+  ]);
+  if (!file) return entries;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read DESTINATIONS_FILE ${file}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`DESTINATIONS_FILE ${file} must contain an object of destinations.`);
+  }
+  for (const [name, entry] of Object.entries(config)) {
+    if (!DESTINATION_NAME.test(name)) {
+      throw new Error(`Invalid destination name "${name}".`);
+    }
+    if (name === DEFAULT_DESTINATION) {
+      throw new Error(`Destination "${DEFAULT_DESTINATION}" is built in and cannot be redefined.`);
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Destination "${name}" must be an object.`);
+    }
+    const { type, ...rest } = entry;
+    if (!TYPES[type]) {
+      throw new Error(`Destination "${name}" needs a "type": ${Object.keys(TYPES).join(', ')}.`);
+    }
+    entries.set(name, { type, config: TYPES[type].parseConfig(name, rest) });
+  }
+  return entries;
+}
+
+const registry = loadRegistry(process.env.DESTINATIONS_FILE);
+
+/**
+ * Validates a `destination` option: `{ name?, path? }`, where `path` is a
+ * relative directory of up to 8 plain segments (letters, digits, `.`, `_`,
+ * `-`). A string is short for a path in the built-in `local` destination.
+ * Throws with a client-facing message.
+ * @param {*} destination
+ * @param {string} [option] - option name for error messages
+ * @returns {{name: string, path: string}}
+ */
+function validateDestination(destination, option = 'destination') {
+  if (typeof destination === 'string') {
+    return validateDestination({ path: destination }, option);
+  }
+  if (!destination || typeof destination !== 'object' || Array.isArray(destination)) {
+    throw new Error(`"${option}" must be an object.`);
+  }
+  const { name = DEFAULT_DESTINATION, path = '', ...rest } = destination;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "${option}" field: ${unknown[0]}`);
+  }
+  if (typeof name !== 'string' || !registry.has(name)) {
+    throw new Error(`Unknown "${option}.name". Must be one of: ${listDestinations().join(', ')}.`);
+  }
+  const segments = typeof path === 'string' && path !== '' ? path.split('/') : [];
+  if (
+    typeof path !== 'string' ||
+    segments.length > MAX_PATH_DEPTH ||
+    !segments.every((segment) => PATH_SEGMENT.test(segment))
+  ) {
+    throw new Error(
+      `"${option}.path" must be a relative directory of at most ${MAX_PATH_DEPTH} segments of letters, digits, ".", "_" or "-".`
+    );
+  }
+  return { name, path };
+}
+
+/**
+ * Uploads or copies a finished artifact to its destination.
+ * @param {string} filePath - the artifact
+ * @param {{name: string, path: string, fileName: string}} destination
+ * @param {object} headers - the writer's headers, for the content type
+ * @returns {Promise<Delivery>}
+ */
+async function deliver(filePath, { name, path, fileName }, headers) {
+  const entry = registry.get(name);
+  if (!entry) throw new Error(`Destination "${name}" is no longer registered.`);
+
+  // Compressed output is stored as the .gz/.zst... file it is, not transfer-encoded
+  const encoding = headers['content-encoding'];
+  const contentType = (encoding && encodedMediaType(encoding)) || headers['content-type'];
+  const location = await TYPES[entry.type].deliver(entry.config, filePath, { path, fileName, contentType });
+  return { destination: name, ...location };
+}
+
+/**
+ * Names of every registered destination, built-in first.
+ * @returns {string[]}
+ */
+function listDestinations() {
+  return [...registry.keys()];
+}
+
+/**
+ * Describes the registered destinations, without their connection details.
+ * @returns {Array<{name: string, type: string}>}
+ */
+function describeDestinations() {
+  return [...registry].map(([name, { type }]) => ({ name, type }));
+}
+
+module.exports = { validateDestination, deliver, listDestinations, describeDestinations, DEFAULT_DESTINATION };
@@ -0,0 +1,48 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem destination: a directory on this host, typically a shared
+ * volume. The built-in `local` destination is EXPORT_OUTPUT_DIR.
+ *
+ * Registry fields: `directory` (absolute path).
+ */
+
+const EXPORT_OUTPUT_DIR = process.env.EXPORT_OUTPUT_DIR || '/tmp/export-output';
+
+/**
+ * Validates a registry entry. Throws on misconfiguration.
+ * @param {string} name
+ * @param {object} entry
+ * @returns {{directory: string}}
+ */
+function parseConfig(name, { directory = EXPORT_OUTPUT_DIR, ...rest }) {
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Destination "${name}": unknown field "${unknown[0]}".`);
+  }
+  if (typeof directory !== 'string' || !path.isAbsolute(directory)) {
+    throw new Error(`Destination "${name}": "directory" must be an absolute path.`);
+  }
+  return { directory };
+}
+
+/**
+ * Copies the artifact into the destination directory. Like artifacts
+ * themselves, the copy appears under its final name only once it is complete.
+ * @param {{directory: string}} config
+ * @param {string} filePath
+ * @param {{path: string, fileName: string}} target
+ * @returns {Promise<{location: string}>}
+ */
+async function deliver({ directory }, filePath, { path: dir, fileName }) {
+  const target = path.join(directory, dir, path.basename(fileName));
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.copyFile(filePath, `${target}.part`);
+  await fs.promises.rename(`${target}.part`, target);
+  return { location: target };
+}
+
+module.exports = { parseConfig, deliver };
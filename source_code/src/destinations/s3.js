@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * S3-compatible object storage destination (AWS S3, MinIO, ...).
+ *
+ * Registry fields: `bucket`, and optionally `prefix` (prepended to every key),
+ * `region`, `endpoint` and `forcePathStyle` (for MinIO and most other
+ * S3-compatible servers), `partSizeMb`, and `accessKeyIdEnv` /
+ * `secretAccessKeyEnv` naming the environment variables that hold this
+ * destination's keys. Without those the SDK's default credential chain is
+ * used (AWS_ACCESS_KEY_ID, shared config, instance role...).
+ *
+ * Objects are uploaded with the multipart API once they exceed one part, two
+ * parts in flight at a time, so memory stays bounded by the part size.
+ */
+
+const MIN_PART_SIZE_MB = 5;
+const DEFAULT_PART_SIZE_MB = parseInt(process.env.S3_PART_SIZE_MB, 10) || 8;
+const MAX_PARTS = 10_000;
+const QUEUE_SIZE = 2;
+
+const FIELDS = new Set([
+  'bucket',
+  'prefix',
+  'region',
+  'endpoint',
+  'forcePathStyle',
+  'partSizeMb',
+  'accessKeyIdEnv',
+  'secretAccessKeyEnv',
+]);
+
+/**
+ * Validates a registry entry. Throws on misconfiguration.
+ * @param {string} name
+ * @param {object} entry
+ * @returns {object}
+ */
+function parseConfig(name, entry) {
+  const unknown = Object.keys(entry).find((field) => !FIELDS.has(field));
+  if (unknown) throw new Error(`Destination "${name}": unknown field "${unknown}".`);
+
+  const {
+    bucket,
+    prefix = '',
+    region = process.env.AWS_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle = false,
+    partSizeMb = DEFAULT_PART_SIZE_MB,
+    accessKeyIdEnv,
+    secretAccessKeyEnv,
+  } = entry;
+  if (typeof bucket !== 'string' || bucket === '') {
+    throw new Error(`Destination "${name}": "bucket" is required.`);
+  }
+  if (typeof prefix !== 'string' || prefix.startsWith('/')) {
+    throw new Error(`Destination "${name}": "prefix" must be a string without a leading "/".`);
+  }
+  if (typeof region !== 'string') {
+    throw new Error(`Destination "${name}": "region" must be a string.`);
+  }
+  if (endpoint !== undefined && (typeof endpoint !== 'string' || !/^https?:\/\//.test(endpoint))) {
+    throw new Error(`Destination "${name}": "endpoint" must be an http(s) URL.`);
+  }
+  if (typeof forcePathStyle !== 'boolean') {
+    throw new Error(`Destination "${name}": "forcePathStyle" must be a boolean.`);
+  }
+  if (!Number.isInteger(partSizeMb) || partSizeMb < MIN_PART_SIZE_MB) {
+    throw new Error(`Destination "${name}": "partSizeMb" must be an integer of at least ${MIN_PART_SIZE_MB}.`);
+  }
+  if ((accessKeyIdEnv === undefined) !== (secretAccessKeyEnv === undefined)) {
+    throw new Error(`Destination "${name}": set both "accessKeyIdEnv" and "secretAccessKeyEnv", or neither.`);
+  }
+  return {
+    bucket,
+    prefix,
+    region,
+    endpoint,
+    forcePathStyle,
+    partSize: partSizeMb * 1024 * 1024,
+    accessKeyIdEnv,
+    secretAccessKeyEnv,
+    client: null,
+  };
+}
+
+/**
+ * The destination's client, created on first use.
+ * @param {object} config
+ * @returns {S3Client}
+ */
+function getClient(config) {
+  if (!config.client) {
+    const { region, endpoint, forcePathStyle, accessKeyIdEnv, secretAccessKeyEnv } = config;
+    const credentials = accessKeyIdEnv
+      ? { accessKeyId: process.env[accessKeyIdEnv], secretAccessKey: process.env[secretAccessKeyEnv] }
+      : undefined;
+    config.client = new S3Client({ region, endpoint, forcePathStyle, credentials });
+  }
+  return config.client;
+}
+
+/**
+ * Uploads the artifact as `<prefix><path>/<fileName>`. An upload that fails
+ * part-way is aborted, so no parts are left behind.
+ * @param {object} config
+ * @param {string} filePath
+ * @param {{path: string, fileName: string, contentType: string}} target
+ * @returns {Promise<{location: string, key: string, url: string}>}
+ */
+async function deliver(config, filePath, { path, fileName, contentType }) {
+  const key = `${config.prefix}${path ? `${path}/` : ''}${fileName}`;
+  const { size } = await fs.promises.stat(filePath);
+
+  const upload = new Upload({
+    client: getClient(config),
+    params: {
+      Bucket: config.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType,
+    },
+    // Grow the parts for objects that would otherwise need more than S3 allows
+    partSize: Math.max(config.partSize, Math.ceil(size / MAX_PARTS)),
+    queueSize: QUEUE_SIZE,
+  });
+  const result = await upload.done();
+  return { location: `s3://${config.bucket}/${key}`, key, url: result.Location };
+}
+
+module.exports = { parseConfig, deliver };
@@ -0,0 +1,86 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const SftpClient = require('ssh2-sftp-client');
+
+/**
+ * SFTP destination.
+ *
+ * Registry fields: `host`, `username`, `directory` (absolute remote path),
+ * optionally `port` (22), and either `privateKeyFile` (with an optional
+ * `passphraseEnv`) or `passwordEnv` — the name of the environment variable
+ * holding the password. Key files are read on each delivery, so rotating a
+ * mounted secret needs no restart.
+ *
+ * A connection is opened per delivery. The file is written as `<name>.part`
+ * and renamed once complete, replacing any earlier file of the same name.
+ */
+
+const FIELDS = new Set(['host', 'port', 'username', 'directory', 'privateKeyFile', 'passphraseEnv', 'passwordEnv']);
+const READY_TIMEOUT_MS = 20_000;
+
+/**
+ * Validates a registry entry. Throws on misconfiguration.
+ * @param {string} name
+ * @param {object} entry
+ * @returns {object}
+ */
+function parseConfig(name, entry) {
+  const unknown = Object.keys(entry).find((field) => !FIELDS.has(field));
+  if (unknown) throw new Error(`Destination "${name}": unknown field "${unknown}".`);
+
+  const { host, port = 22, username, directory, privateKeyFile, passphraseEnv, passwordEnv } = entry;
+  if (typeof host !== 'string' || host === '') {
+    throw new Error(`Destination "${name}": "host" is required.`);
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Destination "${name}": "port" must be a TCP port number.`);
+  }
+  if (typeof username !== 'string' || username === '') {
+    throw new Error(`Destination "${name}": "username" is required.`);
+  }
+  if (typeof directory !== 'string' || !path.posix.isAbsolute(directory)) {
+    throw new Error(`Destination "${name}": "directory" must be an absolute remote path.`);
+  }
+  if ((privateKeyFile === undefined) === (passwordEnv === undefined)) {
+    throw new Error(`Destination "${name}": set one of "privateKeyFile" or "passwordEnv".`);
+  }
+  return { host, port, username, directory, privateKeyFile, passphraseEnv, passwordEnv };
+}
+
+/**
+ * Uploads the artifact to `<directory>/<path>/<fileName>`.
+ * @param {object} config
+ * @param {string} filePath
+ * @param {{path: string, fileName: string}} target
+ * @returns {Promise<{location: string}>}
+ */
+async function deliver(config, filePath, { path: dir, fileName }) {
+  const { host, port, username, privateKeyFile, passphraseEnv, passwordEnv } = config;
+  const remoteDir = path.posix.join(config.directory, dir);
+  const remotePath = path.posix.join(remoteDir, fileName);
+
+  const sftp = new SftpClient('export-destination');
+  await sftp.connect({
+    host,
+    port,
+    username,
+    privateKey: privateKeyFile ? await fs.promises.readFile(privateKeyFile) : undefined,
+    passphrase: passphraseEnv ? process.env[passphraseEnv] : undefined,
+    password: passwordEnv ? process.env[passwordEnv] : undefined,
+    readyTimeout: READY_TIMEOUT_MS,
+  });
+  try {
+    await sftp.mkdir(remoteDir, true);
+    await sftp.put(fs.createReadStream(filePath), `${remotePath}.part`);
+    // Plain SFTP rename fails when the target exists
+    if (await sftp.exists(remotePath)) await sftp.delete(remotePath);
+    await sftp.rename(`${remotePath}.part`, remotePath);
+  } finally {
+    await sftp.end();
+  }
+  return { location: `sftp://${host}${port === 22 ? '' : `:${port}`}${remotePath}` };
+}
+
+module.exports = { parseConfig, deliver };
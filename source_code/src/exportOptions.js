@@ -0,0 +1,228 @@
+'use strict';
+
+const { getStream } = require('./jobs');
+const { getDataset, listDatasets } = require('./datasets');
+const { buildSelectClause } = require('./columns');
+const { buildWhereClause } = require('./filter');
+const { resolveOrdering } = require('./ordering');
+const { validateStream, streamMismatch } = require('./streams');
+const { validateCallbackUrl } = require('./webhooks');
+const { validateCsvOptions } = require('./writers/csvWriter');
+const { validateAvroOptions } = require('./writers/avroWriter');
+const { validateXmlOptions } = require('./writers/xmlWriter');
+const { validateParquetOptions } = require('./writers/parquetWriter');
+const { validateSplitOptions } = require('./writers/parts');
+const { validateCompression } = require('./writers/compression');
+const { validateBundleFormats } = require('./writers/bundle');
+
+/**
+ * Validation of an export definition — what to export and how — shared by
+ * `POST /exports` and the schedules that create jobs from a stored definition.
+ */
+
+const VALID_FORMATS = new Set(['csv', 'json', 'ndjson', 'xml', 'parquet', 'avro', 'xlsx']);
+
+// Format of a job that writes several `formats` into one ZIP archive
+const BUNDLE_FORMAT = 'bundle';
+
+// Binary container formats: compressed internally, and a file cannot be
+// continued from the middle (no ?after_id= resume)
+const CONTAINER_FORMATS = new Set(['parquet', 'avro', 'xlsx']);
+
+/**
+ * @typedef {object} ExportOptions
+ * @property {string} dataset
+ * @property {string} format - one of VALID_FORMATS, or "bundle" with `formats`
+ * @property {string[]|undefined} formats - formats bundled in one ZIP archive
+ * @property {Array}  columns
+ * @property {string|undefined} compression - gzip | deflate | brotli | zstd
+ * @property {number|undefined} compressionLevel
+ * @property {object|undefined} filter
+ * @property {Array|undefined}  orderBy
+ * @property {number|undefined} limit
+ * @property {object|undefined} sample
+ * @property {{name: string, column: string}|null} stream
+ * @property {object|undefined} csvOptions
+ * @property {object|undefined} avroOptions
+ * @property {object|undefined} parquetOptions
+ * @property {object|undefined} xmlOptions
+ * @property {number|undefined} maxRowsPerFile
+ * @property {number|undefined} maxBytesPerFile
+ * @property {string|undefined} archive - zip | tar, set when the export is split into parts
+ * @property {string|undefined} callbackUrl
+ * @property {boolean|undefined} snapshot - read every row in one REPEATABLE READ snapshot
+ */
+
+/**
+ * Validates an export definition against its dataset. Validation failures
+ * resolve to the HTTP status and message to answer with; the promise only
+ * rejects when the dataset or the job store cannot be reached.
+ *
+ * @param {object} body - request body fields
+ * @returns {Promise<{options: ExportOptions}|{status: number, error: string}>}
+ */
+async function parseExportOptions(body) {
+  const {
+    dataset: datasetName,
+    format,
+    formats,
+    columns,
+    compression,
+    compressionLevel,
+    filter,
+    orderBy,
+    limit,
+    sample,
+    stream,
+    csvOptions,
+    avroOptions,
+    parquetOptions,
+    xmlOptions,
+    maxRowsPerFile,
+    maxBytesPerFile,
+    archive,
+    callbackUrl,
+    snapshot,
+  } = body;
+
+  // Validate format, or the formats of a bundle ("format" may then be omitted,
+  // or "bundle" as in a stored definition)
+  if (formats !== undefined) {
+    if (format !== undefined && format !== BUNDLE_FORMAT) {
+      return { status: 400, error: '"format" and "formats" cannot be combined; list every format in "formats".' };
+    }
+    try {
+      validateBundleFormats(formats, VALID_FORMATS);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  } else if (format === BUNDLE_FORMAT) {
+    return { status: 400, error: `"format": "${BUNDLE_FORMAT}" requires "formats".` };
+  } else if (!format || !VALID_FORMATS.has(format)) {
+    return {
+      status: 400,
+      error: `Invalid or missing "format". Must be one of: ${[...VALID_FORMATS].join(', ')}.`,
+    };
+  }
+
+  // Validate columns
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return { status: 400, error: '"columns" must be a non-empty array of {source, target} objects.' };
+  }
+
+  // Validate compression and its level
+  try {
+    validateCompression(compression, compressionLevel);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  if (datasetName !== undefined && typeof datasetName !== 'string') {
+    return { status: 400, error: '"dataset" must be a string.' };
+  }
+  const dataset = await getDataset(datasetName);
+  if (!dataset) {
+    return { status: 400, error: `Unknown "dataset". Must be one of: ${listDatasets().join(', ')}.` };
+  }
+
+  try {
+    // Validate the column mapping: sources against the dataset's columns,
+    // transforms and types (early fail before DB query)
+    const resolved = buildSelectClause(columns, dataset).columns;
+
+    // Validate row filter (compiled again at download time)
+    buildWhereClause(filter, dataset);
+
+    // Validate sort order, row limit and sample
+    resolveOrdering({ orderBy, limit, sample }, dataset);
+
+    const outputFormats = formats || [format];
+    const has = (name) => outputFormats.includes(name);
+
+    // The ZIP archive deflates a bundle's entries itself
+    if (formats && compression) {
+      throw new Error('"compression" is not supported with "formats"; the ZIP archive compresses its entries.');
+    }
+    // Parquet/Avro/XLSX are already compressed internally
+    if (CONTAINER_FORMATS.has(format) && compression) {
+      throw new Error(`The ${format} format does not support ${compression} compression (it is already compressed).`);
+    }
+
+    if (csvOptions !== undefined && !has('csv')) {
+      throw new Error('"csvOptions" is only supported for the csv format.');
+    }
+    if (avroOptions !== undefined && !has('avro')) {
+      throw new Error('"avroOptions" is only supported for the avro format.');
+    }
+    if (parquetOptions !== undefined && !has('parquet')) {
+      throw new Error('"parquetOptions" is only supported for the parquet format.');
+    }
+    if (xmlOptions !== undefined && !has('xml')) {
+      throw new Error('"xmlOptions" is only supported for the xml format.');
+    }
+    if (has('csv')) validateCsvOptions(csvOptions, resolved);
+    if (has('avro')) validateAvroOptions(avroOptions, resolved);
+    if (has('parquet')) validateParquetOptions(parquetOptions, resolved, dataset);
+    if (has('xml')) validateXmlOptions(xmlOptions, resolved);
+
+    if (callbackUrl !== undefined) validateCallbackUrl(callbackUrl);
+
+    if (snapshot !== undefined && typeof snapshot !== 'boolean') {
+      throw new Error('"snapshot" must be a boolean.');
+    }
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  // Validate splitting into part files
+  let archiveType;
+  try {
+    archiveType = validateSplitOptions({ maxRowsPerFile, maxBytesPerFile, archive });
+    if (archiveType && formats) {
+      throw new Error('Exports with "formats" cannot be split into part files.');
+    }
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  // Validate the delta stream; a stream keeps the dataset and column it started with.
+  // Only read here: the stream is created by its first run (see startStreamRun)
+  let streamOption = null;
+  if (stream !== undefined && stream !== null) {
+    try {
+      streamOption = validateStream(stream, { limit, sample }, dataset);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+    const current = await getStream(streamOption.name);
+    const mismatch = current && streamMismatch(current, streamOption, dataset);
+    if (mismatch) return { status: 409, error: mismatch };
+  }
+
+  return {
+    options: {
+      dataset: dataset.name,
+      format: formats ? BUNDLE_FORMAT : format,
+      formats,
+      columns,
+      compression,
+      compressionLevel,
+      filter,
+      orderBy,
+      limit,
+      sample,
+      stream: streamOption,
+      csvOptions,
+      avroOptions,
+      parquetOptions,
+      xmlOptions,
+      maxRowsPerFile,
+      maxBytesPerFile,
+      archive: archiveType,
+      callbackUrl,
+      snapshot,
+    },
+  };
+}
+
+module.exports = { parseExportOptions, VALID_FORMATS, CONTAINER_FORMATS, BUNDLE_FORMAT };
@@ -0,0 +1,303 @@
+'use strict';
+
+/**
+ * Compiles the structured `filter` field of an export job into a
+ * parameterised SQL WHERE clause.
+ *
+ * A filter is either a single predicate or a boolean group:
+ *
+ *   { column: 'value', op: 'gte', value: 100 }
+ *   { and: [ …filters ] }
+ *   { or:  [ …filters ] }
+ *   { not: filter }
+ *
+ * Columns are validated against the job's dataset (the same allowlist
+ * `buildSelectClause` uses), each getting the kind of its output type, and
+ * every literal is passed as a bound parameter, so no user input is ever
+ * interpolated into the SQL text. JSONB predicates address a JSON column by
+ * dotted path, e.g. `metadata.region`.
+ */
+
+// Column output type (see datasets.js) → filter kind
+const KIND_BY_TYPE = {
+  long: 'integer',
+  double: 'numeric',
+  decimal: 'numeric',
+  timestamp: 'timestamp',
+  string: 'text',
+  boolean: 'boolean',
+  json: 'jsonb',
+};
+
+const COMPARISON_OPS = { eq: '=', neq: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+// Operators accepted for each column kind
+const OPS_BY_KIND = {
+  integer: new Set(['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between', 'in', 'nin']),
+  numeric: new Set(['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between', 'in', 'nin']),
+  timestamp: new Set(['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between']),
+  text: new Set(['eq', 'neq', 'in', 'nin', 'like', 'ilike']),
+  boolean: new Set(['eq', 'neq']),
+  jsonb: new Set(['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between', 'in', 'nin', 'like', 'ilike', 'isNull']),
+};
+
+const MAX_DEPTH = 8;
+const MAX_PREDICATES = 64;
+const MAX_LIST_LENGTH = 1000;
+const JSON_PATH_SEGMENT = /^[A-Za-z0-9_]+$/;
+const INTEGER_PATTERN = /^-?\d{1,19}$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Resolves a filter column reference to its kind and, for JSONB paths,
+ * the list of path segments below the JSON column.
+ * @param {string} column
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {{name: string, kind: string, path: string[]|null}}
+ */
+function resolveColumn(column, dataset) {
+  if (typeof column !== 'string' || column.length === 0) {
+    throw new Error('Filter predicate must have a non-empty "column" string.');
+  }
+
+  const [name, ...path] = column.split('.');
+  const spec = dataset.columns.get(name);
+  const kind = spec && KIND_BY_TYPE[spec.type];
+
+  if (!kind) {
+    throw new Error(`Invalid filter column: ${column}`);
+  }
+
+  if (kind === 'jsonb') {
+    if (path.length === 0) {
+      throw new Error(`Filter on "${name}" requires a JSON path, e.g. "${name}.region".`);
+    }
+    if (!path.every((seg) => JSON_PATH_SEGMENT.test(seg))) {
+      throw new Error(`Invalid JSON path in filter column: ${column}`);
+    }
+    return { name, kind, path };
+  }
+
+  if (path.length) {
+    throw new Error(`Column "${name}" does not support a JSON path.`);
+  }
+  return { name, kind, path: null };
+}
+
+/**
+ * Validates and normalises a single literal for a column kind.
+ * JSONB literals may be strings, numbers or booleans; the SQL cast is
+ * chosen from the literal's type.
+ * @param {string} kind
+ * @param {*}      value
+ * @param {string} column - for error messages
+ * @returns {*}
+ */
+function normaliseLiteral(kind, value, column) {
+  switch (kind) {
+    case 'integer':
+      if (Number.isSafeInteger(value)) return value;
+      if (typeof value === 'string' && INTEGER_PATTERN.test(value)) return value;
+      break;
+    case 'numeric':
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      if (typeof value === 'string' && NUMERIC_PATTERN.test(value)) return value;
+      break;
+    case 'timestamp':
+      if (typeof value === 'string' || typeof value === 'number') {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) return date.toISOString();
+      }
+      break;
+    case 'text':
+      if (typeof value === 'string') return value;
+      break;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      break;
+    case 'jsonb':
+      if (typeof value === 'string' || typeof value === 'boolean') return value;
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      break;
+  }
+  throw new Error(`Invalid filter value for "${column}": ${JSON.stringify(value)}`);
+}
+
+/**
+ * Returns the SQL cast suffix applied to a JSONB text extraction so it can be
+ * compared against the given literal.
+ * @param {*} literal
+ * @returns {string}
+ */
+function jsonCastFor(literal) {
+  if (typeof literal === 'number') return '::numeric';
+  if (typeof literal === 'boolean') return '::boolean';
+  return '';
+}
+
+// JSON type a value must have to be cast, see jsonPathExpr
+const JSON_TYPE_BY_CAST = { '::numeric': 'number', '::boolean': 'boolean' };
+
+/**
+ * The text at a JSONB path, cast for comparison with a typed literal. Values
+ * of another JSON type (`"high"`, `""`) become NULL, like a missing key,
+ * instead of failing the query mid-export; see convertExpr in columns.js.
+ * @param {string} name - JSON column
+ * @param {string} pathParam - placeholder of the bound text[] path
+ * @param {string} cast - from jsonCastFor
+ * @returns {string}
+ */
+function jsonPathExpr(name, pathParam, cast) {
+  const text = `("${name}" #>> ${pathParam}::text[])`;
+  if (!cast) return text;
+  return `(CASE WHEN jsonb_typeof("${name}" #> ${pathParam}::text[]) = '${JSON_TYPE_BY_CAST[cast]}' THEN ${text}${cast} END)`;
+}
+
+/**
+ * Compiles a single predicate into SQL, appending its literals to `params`.
+ * @param {object}   predicate
+ * @param {import('./datasets').Dataset} dataset
+ * @param {Array}    params
+ * @returns {string}
+ */
+function compilePredicate(predicate, dataset, params) {
+  const { column, op, value } = predicate;
+  const { name, kind, path } = resolveColumn(column, dataset);
+
+  if (typeof op !== 'string' || !OPS_BY_KIND[kind].has(op)) {
+    throw new Error(`Operator "${op}" is not supported for filter column "${column}".`);
+  }
+
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  // JSONB paths are extracted as text; the path itself is a bound text[]
+  let expr = `"${name}"`;
+  let literals;
+
+  if (op === 'isNull') {
+    if (typeof value !== 'boolean') {
+      throw new Error(`Operator "isNull" on "${column}" requires a boolean value.`);
+    }
+    expr = `("${name}" #>> ${bind(path)}::text[])`;
+    return `${expr} IS ${value ? '' : 'NOT '}NULL`;
+  }
+
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error(`Operator "between" on "${column}" requires a [low, high] array.`);
+    }
+    literals = value.map((v) => normaliseLiteral(kind, v, column));
+  } else if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH) {
+      throw new Error(
+        `Operator "${op}" on "${column}" requires a non-empty array of at most ${MAX_LIST_LENGTH} values.`
+      );
+    }
+    literals = value.map((v) => normaliseLiteral(kind, v, column));
+  } else {
+    literals = [normaliseLiteral(kind, value, column)];
+  }
+
+  if (kind === 'jsonb') {
+    const cast = jsonCastFor(literals[0]);
+    if (literals.some((l) => jsonCastFor(l) !== cast)) {
+      throw new Error(`Filter values for "${column}" must all be of the same type.`);
+    }
+    if ((op === 'like' || op === 'ilike') && cast) {
+      throw new Error(`Operator "${op}" on "${column}" requires a string value.`);
+    }
+    expr = jsonPathExpr(name, bind(path), cast);
+  }
+
+  if (op === 'between') {
+    return `${expr} BETWEEN ${bind(literals[0])} AND ${bind(literals[1])}`;
+  }
+
+  if (op === 'in' || op === 'nin') {
+    // Arrays bind as a single parameter; JSONB arrays need an explicit type
+    let arrayCast = '';
+    if (kind === 'jsonb') arrayCast = jsonCastFor(literals[0]) ? `${jsonCastFor(literals[0])}[]` : '::text[]';
+    const clause = `${expr} = ANY(${bind(literals)}${arrayCast})`;
+    return op === 'in' ? clause : `NOT (${clause})`;
+  }
+
+  if (op === 'like' || op === 'ilike') {
+    return `${expr} ${op.toUpperCase()} ${bind(literals[0])}`;
+  }
+
+  return `${expr} ${COMPARISON_OPS[op]} ${bind(literals[0])}`;
+}
+
+/**
+ * Recursively compiles a filter node.
+ * @param {object} node
+ * @param {import('./datasets').Dataset} dataset
+ * @param {Array}  params
+ * @param {{depth: number, predicates: number}} state
+ * @returns {string}
+ */
+function compileNode(node, dataset, params, state) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error('Filter must be an object.');
+  }
+  if (state.depth > MAX_DEPTH) {
+    throw new Error(`Filter is nested more than ${MAX_DEPTH} levels deep.`);
+  }
+
+  const groupKey = ['and', 'or', 'not'].find((k) => k in node);
+
+  if (!groupKey) {
+    state.predicates += 1;
+    if (state.predicates > MAX_PREDICATES) {
+      throw new Error(`Filter has more than ${MAX_PREDICATES} predicates.`);
+    }
+    return compilePredicate(node, dataset, params);
+  }
+
+  if (Object.keys(node).length !== 1) {
+    throw new Error(`Filter group "${groupKey}" must not contain other keys.`);
+  }
+
+  const child = { ...state, depth: state.depth + 1 };
+  const compileChild = (n) => {
+    const sql = compileNode(n, dataset, params, child);
+    state.predicates = child.predicates;
+    return sql;
+  };
+
+  if (groupKey === 'not') {
+    return `NOT (${compileChild(node.not)})`;
+  }
+
+  const items = node[groupKey];
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error(`Filter group "${groupKey}" must be a non-empty array.`);
+  }
+  const joiner = groupKey === 'and' ? ' AND ' : ' OR ';
+  return `(${items.map(compileChild).join(joiner)})`;
+}
+
+/**
+ * Builds a parameterised WHERE clause from a job filter.
+ * Throws on any invalid column, operator or value so callers can validate a
+ * filter up front, exactly like `buildSelectClause`.
+ *
+ * @param {object|null|undefined} filter
+ * @param {import('./datasets').Dataset} dataset - the dataset the predicates name columns of
+ * @param {Array} [params] - bound parameters collected so far (e.g. by the
+ *   SELECT list); the filter's are appended and numbered after them
+ * @returns {{whereClause: string, params: Array}} whereClause is '' when there is no filter
+ */
+function buildWhereClause(filter, dataset, params = []) {
+  if (filter === undefined || filter === null) {
+    return { whereClause: '', params };
+  }
+
+  const sql = compileNode(filter, dataset, params, { depth: 0, predicates: 0 });
+  return { whereClause: `WHERE ${sql}`, params };
+}
+
+module.exports = { buildWhereClause };
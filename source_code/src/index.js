@@ -3,6 +3,12 @@
 const express = require('express');
 const exportsRouter = require('./routes/exports');
 const benchmarkRouter = require('./routes/benchmark');
+const datasetsRouter = require('./routes/datasets');
+const streamsRouter = require('./routes/streams');
+const schedulesRouter = require('./routes/schedules');
+const destinationsRouter = require('./routes/destinations');
+const { startScheduler } = require('./scheduler');
+const { startWorkers } = require('./worker');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -25,6 +31,10 @@ app.get('/health', (_req, res) => {
 // NOTE: benchmark must be registered BEFORE /exports/:id to avoid route clash
 app.use('/exports', benchmarkRouter);
 app.use('/exports', exportsRouter);
+app.use('/datasets', datasetsRouter);
+app.use('/streams', streamsRouter);
+app.use('/schedules', schedulesRouter);
+app.use('/destinations', destinationsRouter);
 
 // ── 404 handler ─────────────────────────────────────────────────────────────
 app.use((_req, res) => {
@@ -42,6 +52,8 @@ app.use((err, _req, res, _next) => {
 // ── Start ────────────────────────────────────────────────────────────────────
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`[server] Polyglot Export Engine listening on port ${PORT}`);
+  startWorkers();
+  if (process.env.SCHEDULER_ENABLED !== 'false') startScheduler();
 });
 
 module.exports = app; // exported for tests
@@ -1,62 +1,1254 @@
 'use strict';
 
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { pool } = require('./db');
 
 /**
- * In-process job store.
- * In a production system this would be backed by Redis or a DB table,
- * but for this demo an in-memory Map satisfies all requirements.
+ * Export job store.
  *
- * @type {Map<string, Job>}
+ * Jobs are persisted in the `public.export_jobs` table, the watermarks of
+ * delta export streams in `public.export_streams`, scheduled exports in
+ * `public.export_schedules` and webhook attempts in
+ * `public.export_webhook_deliveries`, so that every replica
+ * behind a load balancer sees the same export IDs and a restart does not lose
+ * them. When no database is configured (local unit tests) an in-process Map
+ * is used instead; select explicitly with JOB_STORE=postgres|memory.
  *
  * @typedef {object} Job
  * @property {string}  exportId    - UUID
- * @property {string}  format      - csv | json | xml | parquet
- * @property {Array}   columns     - [{source, target}, …]
- * @property {string|null} compression - gzip | null
- * @property {string}  status      - pending | complete | error
+ * @property {string}  dataset     - registered table or view exported, see datasets.js
+ * @property {string}  format      - csv | json | ndjson | xml | parquet | avro | xlsx | bundle
+ * @property {string[]|null} formats - formats of a bundle, written into one ZIP archive, see writers/bundle.js
+ * @property {Array}   columns     - [{source, target, type?, transforms?}, …], see columns.js
+ * @property {string|null} compression - gzip | deflate | brotli | zstd | null
+ * @property {number|null} compressionLevel - codec level, null for the codec's default
+ * @property {object|null} filter      - structured row filter, see filter.js
+ * @property {Array|null}  orderBy     - [{column, direction}, …], see ordering.js
+ * @property {number|null} limit       - maximum number of rows
+ * @property {object|null} sample      - {percent, method, seed} or {every}, see ordering.js
+ * @property {object|null} avroOptions - codec/blockSize/valueType/metadataType, see writers/avroWriter.js
+ * @property {object|null} parquetOptions - column types, codec and row groups, see writers/parquetWriter.js
+ * @property {object|null} csvOptions  - dialect, encoding and flattening, see writers/csvWriter.js
+ * @property {object|null} xmlOptions  - element names, namespaces and attributes, see writers/xmlWriter.js
+ * @property {{name: string, column: string, from?: string|null, to?: string|null}|null} stream
+ *   - delta stream the job exports; `from`/`to` bound the run, see streams.js
+ * @property {boolean} background  - run by the worker pool into an artifact file
+ * @property {boolean} snapshot    - read in one REPEATABLE READ snapshot, see db.openSnapshot
+ * @property {string|null} snapshotTxid - that snapshot, as `xmin:xmax:xip_list`, once the export starts
+ * @property {string|null} scheduleId - schedule that created the job, see scheduler.js
+ * @property {{name: string, path: string, fileName?: string}|null} destination
+ *   - where the completed artifact is also delivered, see destinations/index.js
+ * @property {import('./destinations').Delivery|null} delivery - where it was delivered
+ * @property {string|null} callbackUrl - webhook notified when the job finishes, see webhooks.js
+ * @property {number|null} maxRowsPerFile  - split into part files, see writers/parts.js
+ * @property {number|null} maxBytesPerFile
+ * @property {string|null} archive     - zip | tar bundling the parts; null when not split
+ * @property {{fileName: string, headers: object}|null} artifact - completed background output
+ * @property {string}  status      - pending | running | complete | error | cancelled
  * @property {Date}    createdAt
+ * @property {Date|null}   startedAt
+ * @property {Date|null}   heartbeatAt - last sign of life of the worker running a background job
+ * @property {Date|null}   finishedAt
+ * @property {string|null} errorMessage
+ * @property {number}  rowsWritten
+ * @property {number}  bytesWritten
+ * @property {number|null} estimatedTotalRows - reltuples / COUNT estimate for progress
+ * @property {string|null} checkpointId - order key of the last row handed to the writer
  */
-const store = new Map();
+
+/**
+ * Delta export stream (`public.export_streams`), see streams.js.
+ *
+ * @typedef {object} Stream
+ * @property {string}  name
+ * @property {string}  dataset      - dataset the stream reads
+ * @property {string}  column       - watermark column
+ * @property {string|null} watermark - highest value delivered so far, as text
+ * @property {string|null} lastExportId - job that last advanced the watermark
+ * @property {Date}    createdAt
+ * @property {Date|null}   updatedAt
+ */
+
+/**
+ * One attempt at delivering a webhook notification, see webhooks.js.
+ *
+ * @typedef {object} WebhookAttempt
+ * @property {string}  exportId
+ * @property {string}  deliveryId   - UUID shared by every attempt of one notification
+ * @property {string}  event        - export.complete | export.error
+ * @property {string}  url
+ * @property {number}  attempt      - 1-based
+ * @property {number|null} statusCode - HTTP status, null when no response arrived
+ * @property {string|null} error
+ * @property {number}  durationMs
+ * @property {Date}    attemptedAt
+ */
+
+/**
+ * Recurring export, see scheduler.js.
+ *
+ * @typedef {object} Schedule
+ * @property {string}  scheduleId   - UUID
+ * @property {string}  name         - prefix of the output file names
+ * @property {string}  cron         - five-field cron expression, UTC
+ * @property {{name: string, path: string}} destination - where runs deliver their output
+ * @property {object}  definition   - export options of every run, see exportOptions.js
+ * @property {boolean} enabled
+ * @property {Date|null}   nextRunAt - null while disabled
+ * @property {Date|null}   lastRunAt
+ * @property {string|null} lastExportId - job of the latest run
+ * @property {Date}    createdAt
+ * @property {Date}    updatedAt
+ */
+
+const JOB_STORE = process.env.JOB_STORE || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+
+const TERMINAL_STATUSES = new Set(['complete', 'error', 'cancelled']);
+const ACTIVE_STATUSES = ['pending', 'running'];
+const NOT_CANCELLED = ['pending', 'running', 'complete', 'error'];
+const FINISHED_STATUSES = new Set(['complete', 'error']);
+
+const finishedListeners = new Set();
+
+// Kept in sync with seeds/init-db.sh so existing databases pick the table up too
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS public.export_jobs (
+    export_id     UUID                      PRIMARY KEY,
+    format        VARCHAR(16)               NOT NULL,
+    formats       JSONB,
+    columns       JSONB                     NOT NULL,
+    compression   VARCHAR(16),
+    compression_level SMALLINT,
+    filter        JSONB,
+    status        VARCHAR(16)               NOT NULL DEFAULT 'pending',
+    created_at    TIMESTAMP WITH TIME ZONE  NOT NULL DEFAULT NOW(),
+    started_at    TIMESTAMP WITH TIME ZONE,
+    finished_at   TIMESTAMP WITH TIME ZONE,
+    error_message TEXT,
+    rows_written  BIGINT                    NOT NULL DEFAULT 0,
+    bytes_written BIGINT                    NOT NULL DEFAULT 0,
+    background    BOOLEAN                   NOT NULL DEFAULT FALSE,
+    artifact      JSONB,
+    estimated_rows BIGINT,
+    checkpoint_id BIGINT,
+    avro_options  JSONB,
+    parquet_options JSONB,
+    csv_options   JSONB,
+    xml_options   JSONB,
+    dataset       VARCHAR(64)               NOT NULL DEFAULT 'records',
+    order_by      JSONB,
+    row_limit     BIGINT,
+    sample        JSONB,
+    stream        JSONB,
+    schedule_id   UUID,
+    destination   JSONB,
+    delivery      JSONB,
+    callback_url  TEXT,
+    max_rows_per_file BIGINT,
+    max_bytes_per_file BIGINT,
+    archive       VARCHAR(8),
+    snapshot      BOOLEAN                   NOT NULL DEFAULT FALSE,
+    snapshot_txid TEXT,
+    heartbeat_at  TIMESTAMP WITH TIME ZONE
+  );
+  -- Columns added after the table was first released
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS background BOOLEAN NOT NULL DEFAULT FALSE;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS artifact JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS estimated_rows BIGINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS checkpoint_id BIGINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS avro_options JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS parquet_options JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS csv_options JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS dataset VARCHAR(64) NOT NULL DEFAULT 'records';
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS order_by JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS row_limit BIGINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS sample JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS stream JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS schedule_id UUID;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS destination JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS delivery JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS callback_url TEXT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS max_rows_per_file BIGINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS max_bytes_per_file BIGINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS archive VARCHAR(8);
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS xml_options JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS compression_level SMALLINT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS formats JSONB;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS snapshot BOOLEAN NOT NULL DEFAULT FALSE;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS snapshot_txid TEXT;
+  ALTER TABLE public.export_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+  CREATE INDEX IF NOT EXISTS export_jobs_status_created_idx
+    ON public.export_jobs (status, created_at);
+  CREATE INDEX IF NOT EXISTS export_jobs_schedule_created_idx
+    ON public.export_jobs (schedule_id, created_at) WHERE schedule_id IS NOT NULL;
+  CREATE TABLE IF NOT EXISTS public.export_streams (
+    name          VARCHAR(64)               PRIMARY KEY,
+    dataset       VARCHAR(64)               NOT NULL,
+    watermark_column VARCHAR(63)            NOT NULL,
+    watermark     TEXT,
+    last_export_id UUID,
+    created_at    TIMESTAMP WITH TIME ZONE  NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMP WITH TIME ZONE
+  );
+  CREATE TABLE IF NOT EXISTS public.export_schedules (
+    schedule_id   UUID                      PRIMARY KEY,
+    name          VARCHAR(64)               NOT NULL,
+    cron          VARCHAR(128)              NOT NULL,
+    destination   JSONB                     NOT NULL,
+    definition    JSONB                     NOT NULL,
+    enabled       BOOLEAN                   NOT NULL DEFAULT TRUE,
+    next_run_at   TIMESTAMP WITH TIME ZONE,
+    last_run_at   TIMESTAMP WITH TIME ZONE,
+    last_export_id UUID,
+    created_at    TIMESTAMP WITH TIME ZONE  NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMP WITH TIME ZONE  NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS export_schedules_next_run_idx
+    ON public.export_schedules (next_run_at) WHERE enabled;
+  CREATE TABLE IF NOT EXISTS public.export_webhook_deliveries (
+    export_id     UUID                      NOT NULL REFERENCES public.export_jobs (export_id) ON DELETE CASCADE,
+    delivery_id   UUID                      NOT NULL,
+    event         VARCHAR(32)               NOT NULL,
+    url           TEXT                      NOT NULL,
+    attempt       INTEGER                   NOT NULL,
+    status_code   INTEGER,
+    error         TEXT,
+    duration_ms   INTEGER                   NOT NULL,
+    attempted_at  TIMESTAMP WITH TIME ZONE  NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS export_webhook_deliveries_export_idx
+    ON public.export_webhook_deliveries (export_id, attempted_at);
+`;
+
+// ── In-memory backend ───────────────────────────────────────────────────────
+const memory = new Map();
+
+// Stores copies so callers get snapshots, as they would from the database
+const memoryStore = {
+  async insert(job) {
+    memory.set(job.exportId, { ...job });
+  },
+
+  async get(exportId) {
+    const job = memory.get(exportId);
+    return job && { ...job };
+  },
+
+  async update(exportId, fields, fromStatuses) {
+    const job = memory.get(exportId);
+    if (!job || (fromStatuses && !fromStatuses.includes(job.status))) return false;
+    Object.assign(job, fields);
+    return true;
+  },
+
+  async list({ status, format, scheduleId, createdAfter, createdBefore, limit, offset }) {
+    const matches = [...memory.values()]
+      .filter(
+        (job) =>
+          (!status || job.status === status) &&
+          (!format || job.format === format) &&
+          (!scheduleId || job.scheduleId === scheduleId) &&
+          (!createdAfter || job.createdAt >= createdAfter) &&
+          (!createdBefore || job.createdAt < createdBefore)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return {
+      jobs: matches.slice(offset, offset + limit).map((job) => ({ ...job })),
+      total: matches.length,
+    };
+  },
+
+  async remove(exportId) {
+    memoryWebhookAttempts.delete(exportId);
+    return memory.delete(exportId);
+  },
+
+  async claimPending(now) {
+    const job = [...memory.values()]
+      .filter((j) => j.background && j.status === 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!job) return undefined;
+    Object.assign(job, { status: 'running', startedAt: now, heartbeatAt: now });
+    return { ...job };
+  },
+
+  async failStale(before, fields) {
+    const stale = [...memory.values()].filter(
+      (j) => j.background && j.status === 'running' && (j.heartbeatAt || j.startedAt) < before
+    );
+    for (const job of stale) Object.assign(job, fields);
+    return stale.map((job) => job.exportId);
+  },
+};
+
+const memoryStreams = new Map();
+
+const memoryStreamStore = {
+  async open({ name, dataset, column }) {
+    if (!memoryStreams.has(name)) {
+      memoryStreams.set(name, {
+        name,
+        dataset,
+        column,
+        watermark: null,
+        lastExportId: null,
+        createdAt: new Date(),
+        updatedAt: null,
+      });
+    }
+    return { ...memoryStreams.get(name) };
+  },
+
+  async get(name) {
+    const stream = memoryStreams.get(name);
+    return stream && { ...stream };
+  },
+
+  async list() {
+    return [...memoryStreams.values()].sort((a, b) => a.name.localeCompare(b.name)).map((stream) => ({ ...stream }));
+  },
+
+  async advance(name, from, to, exportId) {
+    const stream = memoryStreams.get(name);
+    if (!stream || stream.watermark !== from) return false;
+    Object.assign(stream, { watermark: to, lastExportId: exportId, updatedAt: new Date() });
+    return true;
+  },
+
+  async remove(name) {
+    return memoryStreams.delete(name);
+  },
+};
+
+const memoryWebhookAttempts = new Map();
+
+const memoryWebhookStore = {
+  async insert(attempt) {
+    if (!memory.has(attempt.exportId)) return;
+    if (!memoryWebhookAttempts.has(attempt.exportId)) memoryWebhookAttempts.set(attempt.exportId, []);
+    memoryWebhookAttempts.get(attempt.exportId).push({ ...attempt });
+  },
+
+  async list(exportId) {
+    return (memoryWebhookAttempts.get(exportId) || []).map((attempt) => ({ ...attempt }));
+  },
+};
+
+const memorySchedules = new Map();
+
+const memoryScheduleStore = {
+  async insert(schedule) {
+    memorySchedules.set(schedule.scheduleId, { ...schedule });
+  },
+
+  async get(scheduleId) {
+    const schedule = memorySchedules.get(scheduleId);
+    return schedule && { ...schedule };
+  },
+
+  async list() {
+    return [...memorySchedules.values()].sort((a, b) => a.createdAt - b.createdAt).map((sch) => ({ ...sch }));
+  },
+
+  async listDue(now) {
+    return (await this.list()).filter((sch) => sch.enabled && sch.nextRunAt && sch.nextRunAt <= now);
+  },
+
+  async update(scheduleId, fields, dueAt) {
+    const schedule = memorySchedules.get(scheduleId);
+    if (!schedule) return false;
+    if (dueAt && !(schedule.enabled && schedule.nextRunAt && schedule.nextRunAt.getTime() === dueAt.getTime())) {
+      return false;
+    }
+    Object.assign(schedule, fields);
+    return true;
+  },
+
+  async remove(scheduleId) {
+    return memorySchedules.delete(scheduleId);
+  },
+};
+
+// ── PostgreSQL backend ──────────────────────────────────────────────────────
+let schemaReady = null;
+
+/**
+ * Creates the export_jobs table on first use (idempotent).
+ * @returns {Promise<void>}
+ */
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = pool.query(SCHEMA_SQL).catch((err) => {
+      schemaReady = null; // retry on next call
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+// Job property → export_jobs column, for partial updates
+const COLUMN_MAP = {
+  status: 'status',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  errorMessage: 'error_message',
+  rowsWritten: 'rows_written',
+  bytesWritten: 'bytes_written',
+  artifact: 'artifact',
+  estimatedTotalRows: 'estimated_rows',
+  checkpointId: 'checkpoint_id',
+  snapshotTxid: 'snapshot_txid',
+  heartbeatAt: 'heartbeat_at',
+  stream: 'stream',
+  delivery: 'delivery',
+};
+
+// Schedule property → export_schedules column, for partial updates
+const SCHEDULE_COLUMN_MAP = {
+  name: 'name',
+  cron: 'cron',
+  destination: 'destination',
+  definition: 'definition',
+  enabled: 'enabled',
+  nextRunAt: 'next_run_at',
+  lastRunAt: 'last_run_at',
+  lastExportId: 'last_export_id',
+  updatedAt: 'updated_at',
+};
+
+// Properties stored as JSONB, bound as JSON text
+const JSON_FIELDS = new Set(['artifact', 'stream', 'delivery', 'destination', 'definition']);
+
+/**
+ * Maps an export_jobs row to a Job.
+ * @param {object} row
+ * @returns {Job}
+ */
+function rowToJob(row) {
+  return {
+    exportId: row.export_id,
+    dataset: row.dataset,
+    format: row.format,
+    formats: row.formats,
+    columns: row.columns,
+    compression: row.compression,
+    compressionLevel: row.compression_level,
+    filter: row.filter,
+    orderBy: row.order_by,
+    limit: row.row_limit === null ? null : Number(row.row_limit),
+    sample: row.sample,
+    avroOptions: row.avro_options,
+    parquetOptions: row.parquet_options,
+    csvOptions: row.csv_options,
+    xmlOptions: row.xml_options,
+    status: row.status,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    heartbeatAt: row.heartbeat_at,
+    finishedAt: row.finished_at,
+    errorMessage: row.error_message,
+    rowsWritten: Number(row.rows_written),
+    bytesWritten: Number(row.bytes_written),
+    background: row.background,
+    snapshot: row.snapshot,
+    snapshotTxid: row.snapshot_txid,
+    artifact: row.artifact,
+    estimatedTotalRows: row.estimated_rows === null ? null : Number(row.estimated_rows),
+    // BIGINT ids stay strings to avoid precision loss
+    checkpointId: row.checkpoint_id,
+    stream: row.stream,
+    scheduleId: row.schedule_id,
+    destination: row.destination,
+    delivery: row.delivery,
+    callbackUrl: row.callback_url,
+    maxRowsPerFile: row.max_rows_per_file === null ? null : Number(row.max_rows_per_file),
+    maxBytesPerFile: row.max_bytes_per_file === null ? null : Number(row.max_bytes_per_file),
+    archive: row.archive,
+  };
+}
+
+/**
+ * Maps an export_webhook_deliveries row to a WebhookAttempt.
+ * @param {object} row
+ * @returns {WebhookAttempt}
+ */
+function rowToWebhookAttempt(row) {
+  return {
+    exportId: row.export_id,
+    deliveryId: row.delivery_id,
+    event: row.event,
+    url: row.url,
+    attempt: row.attempt,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+    attemptedAt: row.attempted_at,
+  };
+}
+
+/**
+ * Maps an export_streams row to a Stream.
+ * @param {object} row
+ * @returns {Stream}
+ */
+function rowToStream(row) {
+  return {
+    name: row.name,
+    dataset: row.dataset,
+    column: row.watermark_column,
+    watermark: row.watermark,
+    lastExportId: row.last_export_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Maps an export_schedules row to a Schedule.
+ * @param {object} row
+ * @returns {Schedule}
+ */
+function rowToSchedule(row) {
+  return {
+    scheduleId: row.schedule_id,
+    name: row.name,
+    cron: row.cron,
+    destination: row.destination,
+    definition: row.definition,
+    enabled: row.enabled,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastExportId: row.last_export_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const postgresStore = {
+  async insert(job) {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO public.export_jobs
+         (export_id, format, columns, compression, filter, status, created_at, background, avro_options,
+          parquet_options, csv_options, dataset, order_by, row_limit, sample, stream, schedule_id, destination,
+          callback_url, max_rows_per_file, max_bytes_per_file, archive, xml_options, compression_level,
+          formats, snapshot)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+               $23, $24, $25, $26)`,
+      [
+        job.exportId,
+        job.format,
+        JSON.stringify(job.columns),
+        job.compression,
+        job.filter === null ? null : JSON.stringify(job.filter),
+        job.status,
+        job.createdAt,
+        job.background,
+        job.avroOptions === null ? null : JSON.stringify(job.avroOptions),
+        job.parquetOptions === null ? null : JSON.stringify(job.parquetOptions),
+        job.csvOptions === null ? null : JSON.stringify(job.csvOptions),
+        job.dataset,
+        job.orderBy === null ? null : JSON.stringify(job.orderBy),
+        job.limit,
+        job.sample === null ? null : JSON.stringify(job.sample),
+        job.stream === null ? null : JSON.stringify(job.stream),
+        job.scheduleId,
+        job.destination === null ? null : JSON.stringify(job.destination),
+        job.callbackUrl,
+        job.maxRowsPerFile,
+        job.maxBytesPerFile,
+        job.archive,
+        job.xmlOptions === null ? null : JSON.stringify(job.xmlOptions),
+        job.compressionLevel,
+        job.formats === null ? null : JSON.stringify(job.formats),
+        job.snapshot,
+      ]
+    );
+  },
+
+  async get(exportId) {
+    await ensureSchema();
+    const { rows } = await pool.query('SELECT * FROM public.export_jobs WHERE export_id = $1', [exportId]);
+    return rows.length ? rowToJob(rows[0]) : undefined;
+  },
+
+  async update(exportId, fields, fromStatuses) {
+    await ensureSchema();
+    const sets = [];
+    const params = [exportId];
+    for (const [key, value] of Object.entries(fields)) {
+      params.push(JSON_FIELDS.has(key) ? JSON.stringify(value) : value);
+      sets.push(`${COLUMN_MAP[key]} = $${params.length}`);
+    }
+    if (sets.length === 0) return true;
+
+    let guard = '';
+    if (fromStatuses) {
+      params.push(fromStatuses);
+      guard = ` AND status = ANY($${params.length})`;
+    }
+    const { rowCount } = await pool.query(
+      `UPDATE public.export_jobs SET ${sets.join(', ')} WHERE export_id = $1${guard}`,
+      params
+    );
+    return rowCount > 0;
+  },
+
+  async list({ status, format, scheduleId, createdAfter, createdBefore, limit, offset }) {
+    await ensureSchema();
+    const conditions = [];
+    const params = [];
+    const bind = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    if (status) conditions.push(`status = ${bind(status)}`);
+    if (format) conditions.push(`format = ${bind(format)}`);
+    if (scheduleId) conditions.push(`schedule_id = ${bind(scheduleId)}`);
+    if (createdAfter) conditions.push(`created_at >= ${bind(createdAfter)}`);
+    if (createdBefore) conditions.push(`created_at < ${bind(createdBefore)}`);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await pool.query(
+      `SELECT *, COUNT(*) OVER () AS total FROM public.export_jobs ${where}
+       ORDER BY created_at DESC LIMIT ${bind(limit)} OFFSET ${bind(offset)}`,
+      params
+    );
+
+    let total = rows.length ? Number(rows[0].total) : 0;
+    if (rows.length === 0 && offset > 0) {
+      // Past the last page the window count is unavailable; count separately
+      const count = await pool.query(`SELECT COUNT(*) AS total FROM public.export_jobs ${where}`, params.slice(0, -2));
+      total = Number(count.rows[0].total);
+    }
+    return { jobs: rows.map(rowToJob), total };
+  },
+
+  async remove(exportId) {
+    await ensureSchema();
+    const { rowCount } = await pool.query('DELETE FROM public.export_jobs WHERE export_id = $1', [exportId]);
+    return rowCount > 0;
+  },
+
+  async claimPending(now) {
+    await ensureSchema();
+    // SKIP LOCKED lets replicas claim concurrently without waiting on each other
+    const { rows } = await pool.query(
+      `UPDATE public.export_jobs SET status = 'running', started_at = $1, heartbeat_at = $1
+        WHERE export_id = (
+          SELECT export_id FROM public.export_jobs
+           WHERE status = 'pending' AND background
+           ORDER BY created_at
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED)
+       RETURNING *`,
+      [now]
+    );
+    return rows.length ? rowToJob(rows[0]) : undefined;
+  },
+
+  async failStale(before, { status, finishedAt, errorMessage }) {
+    await ensureSchema();
+    // Jobs started before heartbeats were recorded have none
+    const { rows } = await pool.query(
+      `UPDATE public.export_jobs SET status = $2, finished_at = $3, error_message = $4
+        WHERE status = 'running' AND background AND COALESCE(heartbeat_at, started_at) < $1
+       RETURNING export_id`,
+      [before, status, finishedAt, errorMessage]
+    );
+    return rows.map((row) => row.export_id);
+  },
+};
+
+const postgresStreamStore = {
+  async open({ name, dataset, column }) {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO public.export_streams (name, dataset, watermark_column)
+       VALUES ($1, $2, $3) ON CONFLICT (name) DO NOTHING`,
+      [name, dataset, column]
+    );
+    return this.get(name);
+  },
+
+  async get(name) {
+    await ensureSchema();
+    const { rows } = await pool.query('SELECT * FROM public.export_streams WHERE name = $1', [name]);
+    return rows.length ? rowToStream(rows[0]) : undefined;
+  },
+
+  async list() {
+    await ensureSchema();
+    const { rows } = await pool.query('SELECT * FROM public.export_streams ORDER BY name');
+    return rows.map(rowToStream);
+  },
+
+  async advance(name, from, to, exportId) {
+    await ensureSchema();
+    const { rowCount } = await pool.query(
+      `UPDATE public.export_streams SET watermark = $2, last_export_id = $3, updated_at = NOW()
+        WHERE name = $1 AND watermark IS NOT DISTINCT FROM $4`,
+      [name, to, exportId, from]
+    );
+    return rowCount > 0;
+  },
+
+  async remove(name) {
+    await ensureSchema();
+    const { rowCount } = await pool.query('DELETE FROM public.export_streams WHERE name = $1', [name]);
+    return rowCount > 0;
+  },
+};
+
+const postgresScheduleStore = {
+  async insert(schedule) {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO public.export_schedules
+         (schedule_id, name, cron, destination, definition, enabled, next_run_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        schedule.scheduleId,
+        schedule.name,
+        schedule.cron,
+        JSON.stringify(schedule.destination),
+        JSON.stringify(schedule.definition),
+        schedule.enabled,
+        schedule.nextRunAt,
+        schedule.createdAt,
+        schedule.updatedAt,
+      ]
+    );
+  },
+
+  async get(scheduleId) {
+    await ensureSchema();
+    const { rows } = await pool.query('SELECT * FROM public.export_schedules WHERE schedule_id = $1', [scheduleId]);
+    return rows.length ? rowToSchedule(rows[0]) : undefined;
+  },
+
+  async list() {
+    await ensureSchema();
+    const { rows } = await pool.query('SELECT * FROM public.export_schedules ORDER BY created_at');
+    return rows.map(rowToSchedule);
+  },
+
+  async listDue(now) {
+    await ensureSchema();
+    const { rows } = await pool.query(
+      'SELECT * FROM public.export_schedules WHERE enabled AND next_run_at <= $1 ORDER BY next_run_at',
+      [now]
+    );
+    return rows.map(rowToSchedule);
+  },
+
+  async update(scheduleId, fields, dueAt) {
+    await ensureSchema();
+    const sets = [];
+    const params = [scheduleId];
+    for (const [key, value] of Object.entries(fields)) {
+      params.push(JSON_FIELDS.has(key) ? JSON.stringify(value) : value);
+      sets.push(`${SCHEDULE_COLUMN_MAP[key]} = $${params.length}`);
+    }
+    let guard = '';
+    if (dueAt) {
+      params.push(dueAt);
+      guard = ` AND enabled AND next_run_at = $${params.length}`;
+    }
+    const { rowCount } = await pool.query(
+      `UPDATE public.export_schedules SET ${sets.join(', ')} WHERE schedule_id = $1${guard}`,
+      params
+    );
+    return rowCount > 0;
+  },
+
+  async remove(scheduleId) {
+    await ensureSchema();
+    const { rowCount } = await pool.query('DELETE FROM public.export_schedules WHERE schedule_id = $1', [scheduleId]);
+    return rowCount > 0;
+  },
+};
+
+const postgresWebhookStore = {
+  // An attempt for a job deleted meanwhile inserts nothing
+  async insert(attempt) {
+    await ensureSchema();
+    await pool.query(
+      `INSERT INTO public.export_webhook_deliveries
+         (export_id, delivery_id, event, url, attempt, status_code, error, duration_ms, attempted_at)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9
+        WHERE EXISTS (SELECT 1 FROM public.export_jobs WHERE export_id = $1)`,
+      [
+        attempt.exportId,
+        attempt.deliveryId,
+        attempt.event,
+        attempt.url,
+        attempt.attempt,
+        attempt.statusCode,
+        attempt.error,
+        attempt.durationMs,
+        attempt.attemptedAt,
+      ]
+    );
+  },
+
+  async list(exportId) {
+    await ensureSchema();
+    const { rows } = await pool.query(
+      `SELECT * FROM public.export_webhook_deliveries WHERE export_id = $1 ORDER BY attempted_at, attempt`,
+      [exportId]
+    );
+    return rows.map(rowToWebhookAttempt);
+  },
+};
+
+const store = JOB_STORE === 'postgres' ? postgresStore : memoryStore;
+const streamStore = JOB_STORE === 'postgres' ? postgresStreamStore : memoryStreamStore;
+const scheduleStore = JOB_STORE === 'postgres' ? postgresScheduleStore : memoryScheduleStore;
+const webhookStore = JOB_STORE === 'postgres' ? postgresWebhookStore : memoryWebhookStore;
 
 /**
  * Creates and stores a new export job.
  * @param {object} opts
+ * @param {string}   [opts.dataset] - defaults to "records"
  * @param {string}   opts.format
+ * @param {string[]|null} [opts.formats]
  * @param {Array}    opts.columns
  * @param {string|null} opts.compression
- * @returns {Job}
+ * @param {number|null} [opts.compressionLevel]
+ * @param {object|null} [opts.filter]
+ * @param {Array|null}  [opts.orderBy]
+ * @param {number|null} [opts.limit]
+ * @param {object|null} [opts.sample]
+ * @param {boolean}  [opts.background]
+ * @param {boolean}  [opts.snapshot]
+ * @param {string|null} [opts.scheduleId]
+ * @param {{name: string, path: string, fileName?: string}|null} [opts.destination]
+ * @param {string|null} [opts.callbackUrl]
+ * @param {number|null} [opts.maxRowsPerFile]
+ * @param {number|null} [opts.maxBytesPerFile]
+ * @param {string|null} [opts.archive]
+ * @param {object|null} [opts.avroOptions]
+ * @param {object|null} [opts.parquetOptions]
+ * @param {object|null} [opts.csvOptions]
+ * @param {object|null} [opts.xmlOptions]
+ * @param {{name: string, column: string}|null} [opts.stream]
+ * @param {string} [opts.errorMessage] - stores the job as already failed, for
+ *   a scheduled run that could not be started
+ * @returns {Promise<Job>}
  */
-function createJob({ format, columns, compression }) {
+async function createJob({
+  dataset,
+  format,
+  formats,
+  columns,
+  compression,
+  compressionLevel,
+  filter,
+  orderBy,
+  limit,
+  sample,
+  background,
+  snapshot,
+  scheduleId,
+  destination,
+  callbackUrl,
+  maxRowsPerFile,
+  maxBytesPerFile,
+  archive,
+  avroOptions,
+  parquetOptions,
+  csvOptions,
+  xmlOptions,
+  stream,
+  errorMessage,
+}) {
+  const now = new Date();
   const job = {
     exportId: uuidv4(),
+    dataset: dataset || 'records',
     format,
+    formats: formats || null,
     columns,
     compression: compression || null,
-    status: 'pending',
-    createdAt: new Date(),
+    compressionLevel: compressionLevel ?? null,
+    filter: filter || null,
+    orderBy: orderBy || null,
+    limit: limit || null,
+    sample: sample || null,
+    avroOptions: avroOptions || null,
+    parquetOptions: parquetOptions || null,
+    csvOptions: csvOptions || null,
+    xmlOptions: xmlOptions || null,
+    stream: stream || null,
+    background: Boolean(background),
+    snapshot: Boolean(snapshot),
+    snapshotTxid: null,
+    scheduleId: scheduleId || null,
+    destination: destination || null,
+    delivery: null,
+    callbackUrl: callbackUrl || null,
+    maxRowsPerFile: maxRowsPerFile || null,
+    maxBytesPerFile: maxBytesPerFile || null,
+    archive: archive || null,
+    artifact: null,
+    status: errorMessage ? 'error' : 'pending',
+    createdAt: now,
+    startedAt: null,
+    heartbeatAt: null,
+    finishedAt: errorMessage ? now : null,
+    errorMessage: errorMessage || null,
+    rowsWritten: 0,
+    bytesWritten: 0,
+    estimatedTotalRows: null,
+    checkpointId: null,
   };
-  store.set(job.exportId, job);
+  await store.insert(job);
+  if (errorMessage) {
+    for (const listener of finishedListeners) listener(job.exportId, 'error');
+  }
   return job;
 }
 
 /**
- * Retrieves a job by ID.
+ * Retrieves a job by ID. Malformed IDs resolve to undefined rather than
+ * reaching the database.
  * @param {string} exportId
- * @returns {Job|undefined}
+ * @returns {Promise<Job|undefined>}
  */
-function getJob(exportId) {
+async function getJob(exportId) {
+  if (!isUuid(exportId)) return undefined;
   return store.get(exportId);
 }
 
 /**
- * Updates the status of an existing job.
+ * Lists jobs, newest first.
+ * @param {object} query
+ * @param {string} [query.status]
+ * @param {string} [query.format]
+ * @param {string} [query.scheduleId]
+ * @param {Date}   [query.createdAfter]  - inclusive
+ * @param {Date}   [query.createdBefore] - exclusive
+ * @param {number} query.limit
+ * @param {number} query.offset
+ * @returns {Promise<{jobs: Job[], total: number}>}
+ */
+async function listJobs(query) {
+  return store.list(query);
+}
+
+/**
+ * Deletes a job record.
+ * @param {string} exportId
+ * @returns {Promise<boolean>} false when the job did not exist
+ */
+async function deleteJob(exportId) {
+  if (!isUuid(exportId)) return false;
+  return store.remove(exportId);
+}
+
+/**
+ * Updates the status of an existing job. `running` stamps startedAt and the
+ * terminal statuses stamp finishedAt.
+ *
+ * A cancelled job is never moved to another status, so an export that
+ * finishes just after being cancelled stays cancelled; `cancelled` itself is
+ * only applied to pending or running jobs.
+ *
+ * @param {string} exportId
+ * @param {'pending'|'running'|'complete'|'error'|'cancelled'} status
+ * @param {object} [details]
+ * @param {string} [details.errorMessage]
+ * @param {number} [details.rowsWritten]
+ * @param {number} [details.bytesWritten]
+ * @param {object} [details.artifact]
+ * @param {object} [details.delivery]
+ * @param {string} [details.checkpointId]
+ * @param {string[]} [fromStatuses] - narrows the statuses the job may move
+ *   from; workers pass ['running'], so a job failStaleJobs already failed
+ *   keeps its single outcome
+ * @returns {Promise<boolean>} false when the transition was not applied
+ */
+async function updateJobStatus(exportId, status, details = {}, fromStatuses = null) {
+  const fields = { status };
+  if (status === 'running') fields.startedAt = new Date();
+  if (TERMINAL_STATUSES.has(status)) fields.finishedAt = new Date();
+
+  for (const key of ['errorMessage', 'rowsWritten', 'bytesWritten', 'artifact', 'delivery', 'checkpointId']) {
+    if (details[key] !== undefined) fields[key] = details[key];
+  }
+  const from = fromStatuses || (status === 'cancelled' ? ACTIVE_STATUSES : NOT_CANCELLED);
+  const applied = await store.update(exportId, fields, from);
+  if (applied && FINISHED_STATUSES.has(status)) {
+    for (const listener of finishedListeners) listener(exportId, status);
+  }
+  return applied;
+}
+
+/**
+ * Registers a callback for jobs that have just been marked `complete` or
+ * `error` (on this replica). Listeners must not throw.
+ * @param {(exportId: string, status: string) => void} listener
+ */
+function onJobFinished(listener) {
+  finishedListeners.add(listener);
+}
+
+/**
+ * Records live progress counters without touching the status.
+ * @param {string} exportId
+ * @param {object} progress
+ * @param {number} [progress.rowsWritten]
+ * @param {number} [progress.bytesWritten]
+ * @param {number} [progress.estimatedTotalRows]
+ * @param {string} [progress.checkpointId]
+ * @param {object} [progress.stream] - the run's watermark bounds
+ * @param {string} [progress.snapshotTxid] - the snapshot the export reads
+ * @returns {Promise<boolean>} false once the job is no longer pending/running
+ *   (cancelled or deleted, possibly by another replica)
+ */
+async function updateJobProgress(exportId, progress) {
+  const fields = {};
+  for (const key of ['rowsWritten', 'bytesWritten', 'estimatedTotalRows', 'checkpointId', 'stream', 'snapshotTxid']) {
+    if (progress[key] !== undefined) fields[key] = progress[key];
+  }
+  return store.update(exportId, fields, ACTIVE_STATUSES);
+}
+
+/**
+ * Claims the oldest pending background job for this replica's worker pool,
+ * moving it to `running`. Each job is claimed by exactly one replica.
+ * @returns {Promise<Job|undefined>} undefined when no job is waiting
+ */
+async function claimPendingJob() {
+  return store.claimPending(new Date());
+}
+
+/**
+ * Records that the worker running a background job is still alive.
+ * @param {string} exportId
+ * @returns {Promise<boolean>} false once the job is no longer running
+ */
+async function touchJob(exportId) {
+  return store.update(exportId, { heartbeatAt: new Date() }, ['running']);
+}
+
+/**
+ * Fails the running background jobs whose worker has not been heard from
+ * since `before`: their replica stopped or lost the database.
+ * @param {Date} before
+ * @returns {Promise<string[]>} the ids of the failed jobs
+ */
+async function failStaleJobs(before) {
+  const exportIds = await store.failStale(before, {
+    status: 'error',
+    finishedAt: new Date(),
+    errorMessage: 'The server running this export stopped before it finished.',
+  });
+  for (const exportId of exportIds) {
+    for (const listener of finishedListeners) listener(exportId, 'error');
+  }
+  return exportIds;
+}
+
+// ── Export streams ──────────────────────────────────────────────────────────
+
+/**
+ * Returns the named stream, creating it with no watermark on first use.
+ * An existing stream keeps its dataset and column; callers compare them.
+ * @param {{name: string, dataset: string, column: string}} stream
+ * @returns {Promise<Stream>}
+ */
+async function openStream(stream) {
+  return streamStore.open(stream);
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<Stream|undefined>}
+ */
+async function getStream(name) {
+  return streamStore.get(name);
+}
+
+/**
+ * Lists every stream by name.
+ * @returns {Promise<Stream[]>}
+ */
+async function listStreams() {
+  return streamStore.list();
+}
+
+/**
+ * Moves a stream's watermark from `from` to `to`, only if it still is at
+ * `from`, so two overlapping runs cannot both advance it.
+ * @param {string} name
+ * @param {string|null} from
+ * @param {string|null} to
+ * @param {string} exportId - job that delivered the rows up to `to`
+ * @returns {Promise<boolean>} false when the watermark had moved on, or the
+ *   stream was deleted
+ */
+async function advanceStream(name, from, to, exportId) {
+  return streamStore.advance(name, from, to, exportId);
+}
+
+/**
+ * Deletes a stream; its next run starts from the beginning of the dataset.
+ * @param {string} name
+ * @returns {Promise<boolean>} false when the stream did not exist
+ */
+async function deleteStream(name) {
+  return streamStore.remove(name);
+}
+
+// ── Webhook deliveries ──────────────────────────────────────────────────────
+
+/**
+ * Appends an attempt to a job's webhook delivery log. Attempts for a job
+ * that has been deleted are dropped.
+ * @param {WebhookAttempt} attempt
+ * @returns {Promise<void>}
+ */
+async function recordWebhookAttempt(attempt) {
+  return webhookStore.insert(attempt);
+}
+
+/**
+ * A job's webhook delivery log, oldest attempt first.
  * @param {string} exportId
- * @param {'pending'|'complete'|'error'} status
+ * @returns {Promise<WebhookAttempt[]>}
+ */
+async function listWebhookAttempts(exportId) {
+  return webhookStore.list(exportId);
+}
+
+// ── Schedules ───────────────────────────────────────────────────────────────
+
+/**
+ * Creates and stores a schedule.
+ * @param {object} opts
+ * @param {string}  opts.name
+ * @param {string}  opts.cron
+ * @param {{name: string, path: string}} opts.destination
+ * @param {object}  opts.definition
+ * @param {boolean} opts.enabled
+ * @param {Date|null} opts.nextRunAt
+ * @returns {Promise<Schedule>}
+ */
+async function createSchedule({ name, cron, destination, definition, enabled, nextRunAt }) {
+  const now = new Date();
+  const schedule = {
+    scheduleId: uuidv4(),
+    name,
+    cron,
+    destination,
+    definition,
+    enabled,
+    nextRunAt,
+    lastRunAt: null,
+    lastExportId: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await scheduleStore.insert(schedule);
+  return schedule;
+}
+
+/**
+ * @param {string} scheduleId
+ * @returns {Promise<Schedule|undefined>}
+ */
+async function getSchedule(scheduleId) {
+  if (!isUuid(scheduleId)) return undefined;
+  return scheduleStore.get(scheduleId);
+}
+
+/**
+ * Lists every schedule, oldest first.
+ * @returns {Promise<Schedule[]>}
+ */
+async function listSchedules() {
+  return scheduleStore.list();
+}
+
+/**
+ * Enabled schedules whose next run is due.
+ * @param {Date} now
+ * @returns {Promise<Schedule[]>}
+ */
+async function listDueSchedules(now) {
+  return scheduleStore.listDue(now);
+}
+
+/**
+ * Updates the definition of a schedule.
+ * @param {string} scheduleId
+ * @param {object} fields - name, cron, destination, definition, enabled, nextRunAt
+ * @returns {Promise<boolean>} false when the schedule does not exist
+ */
+async function updateSchedule(scheduleId, fields) {
+  if (!isUuid(scheduleId)) return false;
+  return scheduleStore.update(scheduleId, { ...fields, updatedAt: new Date() });
+}
+
+/**
+ * Claims the run of a schedule that was due at `dueAt` by moving its next run
+ * on. Only one replica's claim succeeds, so each run starts exactly once.
+ * @param {string} scheduleId
+ * @param {Date} dueAt - the nextRunAt the caller saw
+ * @param {Date|null} nextRunAt
+ * @returns {Promise<boolean>} false when the run was claimed elsewhere, or the
+ *   schedule was changed, disabled or deleted in the meantime
+ */
+async function claimScheduleRun(scheduleId, dueAt, nextRunAt) {
+  return scheduleStore.update(scheduleId, { nextRunAt, lastRunAt: new Date() }, dueAt);
+}
+
+/**
+ * Records the job started by a schedule's latest run.
+ * @param {string} scheduleId
+ * @param {string} exportId
+ * @returns {Promise<boolean>}
+ */
+async function recordScheduleRun(scheduleId, exportId) {
+  return scheduleStore.update(scheduleId, { lastExportId: exportId });
+}
+
+/**
+ * Deletes a schedule. The jobs of its past runs are kept.
+ * @param {string} scheduleId
+ * @returns {Promise<boolean>} false when the schedule did not exist
  */
-function updateJobStatus(exportId, status) {
-  const job = store.get(exportId);
-  if (job) job.status = status;
+async function deleteSchedule(scheduleId) {
+  if (!isUuid(scheduleId)) return false;
+  return scheduleStore.remove(scheduleId);
 }
 
-module.exports = { createJob, getJob, updateJobStatus };
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  deleteJob,
+  updateJobStatus,
+  updateJobProgress,
+  onJobFinished,
+  claimPendingJob,
+  touchJob,
+  failStaleJobs,
+  recordWebhookAttempt,
+  listWebhookAttempts,
+  openStream,
+  getStream,
+  listStreams,
+  advanceStream,
+  deleteStream,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  listDueSchedules,
+  updateSchedule,
+  claimScheduleRun,
+  recordScheduleRun,
+  deleteSchedule,
+};
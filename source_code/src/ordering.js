@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Validates the row selection options of an export job: the sort order, a
+ * row limit and a sample.
+ *
+ *   orderBy: [{ column: 'created_at', direction: 'desc' }, { column: 'name' }]
+ *   limit:   100000
+ *   sample:  { percent: 1, method: 'system', seed: 42 }   // TABLESAMPLE
+ *   sample:  { every: 100 }                               // every 100th row
+ *
+ * The dataset's `orderKey` always ends the sort order, so rows have a total
+ * order that the download can resume in by keyset (see query.js).
+ */
+
+/**
+ * @typedef {object} SortKey
+ * @property {string}  column
+ * @property {string}  direction - asc | desc
+ * @property {boolean} nullable  - nulls sort last in either direction
+ */
+
+/**
+ * @typedef {object} Ordering
+ * @property {SortKey[]}   keys  - ends with the dataset's orderKey
+ * @property {number|null} limit
+ * @property {{percent?: number, method?: string, seed?: number, every?: number}|null} sample
+ */
+
+const VALID_DIRECTIONS = new Set(['asc', 'desc']);
+const VALID_SAMPLE_METHODS = new Set(['bernoulli', 'system']);
+const MAX_SORT_KEYS = 8;
+const MAX_SAMPLE_EVERY = 1_000_000;
+const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * Validates `orderBy` and resolves it to the sort keys of the query.
+ * @param {*} orderBy
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {SortKey[]}
+ */
+function resolveSortKeys(orderBy, dataset) {
+  const keys = [];
+  if (orderBy !== undefined && orderBy !== null) {
+    if (!Array.isArray(orderBy) || orderBy.length === 0 || orderBy.length > MAX_SORT_KEYS) {
+      throw new Error(`"orderBy" must be a non-empty array of at most ${MAX_SORT_KEYS} sort keys.`);
+    }
+    for (const item of orderBy) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new Error('Each "orderBy" entry must be an object.');
+      }
+      const { column, direction = 'asc', ...rest } = item;
+      const unknown = Object.keys(rest);
+      if (unknown.length) {
+        throw new Error(`Unknown "orderBy" field: ${unknown[0]}`);
+      }
+      const spec = typeof column === 'string' ? dataset.columns.get(column) : undefined;
+      if (!spec && column !== dataset.orderKey) {
+        throw new Error(`Invalid "orderBy" column: ${column}`);
+      }
+      if (spec && spec.type === 'json') {
+        throw new Error(`Cannot order by the JSON column "${column}".`);
+      }
+      if (!VALID_DIRECTIONS.has(direction)) {
+        throw new Error(`Invalid "orderBy" direction for "${column}". Must be one of: asc, desc.`);
+      }
+      if (keys.some((key) => key.column === column)) {
+        throw new Error(`"orderBy" lists "${column}" more than once.`);
+      }
+      keys.push({ column, direction, nullable: Boolean(spec && spec.nullable) });
+    }
+  }
+
+  // The order key is unique, so it completes the order and nothing after it matters
+  const last = keys.findIndex((key) => key.column === dataset.orderKey);
+  if (last === -1) {
+    keys.push({ column: dataset.orderKey, direction: 'asc', nullable: false });
+  } else {
+    keys.length = last + 1;
+  }
+  return keys;
+}
+
+/**
+ * Validates `sample`.
+ * @param {*} sample
+ * @param {import('./datasets').Dataset} dataset
+ */
+function validateSample(sample, dataset) {
+  if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+    throw new Error('"sample" must be an object.');
+  }
+  const { percent, method, seed, every, ...rest } = sample;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "sample" field: ${unknown[0]}`);
+  }
+  if ((percent === undefined) === (every === undefined)) {
+    throw new Error('"sample" needs either "percent" or "every".');
+  }
+
+  if (every !== undefined) {
+    if (method !== undefined || seed !== undefined) {
+      throw new Error('"sample.method" and "sample.seed" only apply to "sample.percent".');
+    }
+    if (!Number.isInteger(every) || every < 2 || every > MAX_SAMPLE_EVERY) {
+      throw new Error(`"sample.every" must be an integer between 2 and ${MAX_SAMPLE_EVERY}.`);
+    }
+    return;
+  }
+
+  if (typeof percent !== 'number' || !(percent > 0 && percent <= 100)) {
+    throw new Error('"sample.percent" must be a number greater than 0 and at most 100.');
+  }
+  if (method !== undefined && !VALID_SAMPLE_METHODS.has(method)) {
+    throw new Error('Invalid "sample.method". Must be one of: bernoulli, system.');
+  }
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    throw new Error(`"sample.seed" must be an integer between 0 and ${MAX_SEED}.`);
+  }
+  if (dataset.kind !== 'table') {
+    throw new Error(`"sample.percent" needs a table; dataset "${dataset.name}" is a view, use "sample.every".`);
+  }
+}
+
+/**
+ * Validates and resolves the row selection options of a job. Throws with a
+ * client-facing message, like `buildSelectClause`.
+ * @param {{orderBy?: *, limit?: *, sample?: *}} job
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {Ordering}
+ */
+function resolveOrdering({ orderBy, limit, sample }, dataset) {
+  const keys = resolveSortKeys(orderBy, dataset);
+  if (limit !== undefined && limit !== null && (!Number.isSafeInteger(limit) || limit < 1)) {
+    throw new Error('"limit" must be a positive integer.');
+  }
+  if (sample !== undefined && sample !== null) validateSample(sample, dataset);
+  return { keys, limit: limit || null, sample: sample || null };
+}
+
+/**
+ * Fixes the seed of a percentage sample when the client did not choose one,
+ * so every download of the job (and every resumed segment) reads the same rows.
+ * @param {object|undefined} sample - validated sample
+ * @returns {object|undefined}
+ */
+function seedSample(sample) {
+  if (!sample || sample.percent === undefined || sample.seed !== undefined) return sample;
+  return { ...sample, seed: Math.floor(Math.random() * MAX_SEED) };
+}
+
+module.exports = { resolveOrdering, seedSample };
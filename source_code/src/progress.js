@@ -0,0 +1,147 @@
+'use strict';
+
+const { updateJobProgress } = require('./jobs');
+const { estimateRowCount } = require('./query');
+
+// How often live counters are written back to the job store
+const FLUSH_INTERVAL_MS = parseInt(process.env.PROGRESS_FLUSH_MS, 10) || 1000;
+
+// exportId → Set<AbortController> for every export streaming in this process
+// (a live job may be downloaded by several clients at once)
+const inFlight = new Map();
+
+/**
+ * Byte length of a chunk handed to `write`/`end`.
+ * @param {Buffer|string} chunk
+ * @param {string} [encoding]
+ * @returns {number}
+ */
+function byteLength(chunk, encoding) {
+  if (Buffer.isBuffer(chunk) || chunk instanceof Uint8Array) return chunk.length;
+  return Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+/**
+ * Instruments an export so its job record shows live progress and so it can
+ * be cancelled:
+ *  - rows are counted as batches flow from `streamRows` into the writer, and
+ *    the dataset `orderKey` of the last row handed over is kept as a resume
+ *    checkpoint,
+ *  - bytes are counted as the writer (or its compressor) writes to `res`,
+ *  - the estimated total is looked up once, without delaying the stream (in
+ *    the export's snapshot, when it reads one),
+ *  - a snapshot's `txid` is recorded on the job, and the snapshot released
+ *    when the export stops,
+ *  - counters are flushed to the job store every PROGRESS_FLUSH_MS.
+ *
+ * The export is aborted when `cancelExport` is called in this process, or when
+ * a flush finds the job is no longer running (cancelled or deleted through
+ * another replica). Aborting closes the cursor and releases its pool client
+ * immediately, destroys `res`, and makes the writer fail; callers tell a
+ * cancellation from a real failure by checking the returned `signal`.
+ *
+ * @param {import('./jobs').Job} job
+ * @param {import('http').ServerResponse} res
+ * @param {(signal: AbortSignal) => AsyncGenerator<object[]>} openRows - opens the row stream
+ * @param {import('./datasets').Dataset} dataset - the job's dataset
+ * @param {import('./db').Snapshot|null} [snapshot] - the snapshot `openRows` reads in
+ * @returns {{rowGenerator: AsyncGenerator<object[]>, signal: AbortSignal, stop: () => Promise<{rowsWritten: number, bytesWritten: number, checkpointId: string|undefined}>}}
+ */
+function trackProgress(job, res, openRows, dataset, snapshot = null) {
+  const counters = { rowsWritten: 0, bytesWritten: 0, checkpointId: undefined };
+  const controller = new AbortController();
+  const { signal } = controller;
+  const rows = openRows(signal);
+
+  if (!inFlight.has(job.exportId)) inFlight.set(job.exportId, new Set());
+  inFlight.get(job.exportId).add(controller);
+
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, cb) {
+    counters.bytesWritten += byteLength(chunk, encoding);
+    return write.call(this, chunk, encoding, cb);
+  };
+  res.end = function (chunk, encoding, cb) {
+    if (chunk && typeof chunk !== 'function') counters.bytesWritten += byteLength(chunk, encoding);
+    return end.call(this, chunk, encoding, cb);
+  };
+
+  // The writer may be parked on back-pressure rather than pulling rows, so
+  // release the cursor directly instead of waiting for its next read
+  signal.addEventListener(
+    'abort',
+    () => {
+      rows.return().catch(() => {});
+      res.destroy();
+    },
+    { once: true }
+  );
+
+  async function* countRows() {
+    for await (const batch of rows) {
+      counters.rowsWritten += batch.length;
+      if (batch.length) counters.checkpointId = String(batch[batch.length - 1][dataset.orderKey]);
+      yield batch;
+    }
+    // A cursor returned early must not look like the end of the data
+    signal.throwIfAborted();
+  }
+
+  // Flushes are chained so a slow write can never land after a newer one
+  let pending = Promise.resolve();
+  if (snapshot) {
+    pending = updateJobProgress(job.exportId, { snapshotTxid: snapshot.txid }).catch((err) => {
+      console.error(`[progress] snapshot of ${job.exportId}:`, err.message);
+    });
+  }
+  const flush = () => {
+    const values = { ...counters };
+    pending = pending.then(() =>
+      updateJobProgress(job.exportId, values)
+        .then((active) => {
+          if (!active) controller.abort();
+        })
+        .catch((err) => {
+          console.error(`[progress] ${job.exportId}:`, err.message);
+        })
+    );
+  };
+
+  const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+  timer.unref();
+
+  estimateRowCount(job, dataset, snapshot ? snapshot.id : undefined)
+    .then((estimatedTotalRows) => updateJobProgress(job.exportId, { estimatedTotalRows }))
+    .catch((err) => console.error(`[progress] estimate for ${job.exportId} failed:`, err.message));
+
+  return {
+    rowGenerator: countRows(),
+    signal,
+    async stop() {
+      clearInterval(timer);
+      await pending;
+      if (snapshot) await snapshot.release();
+      const controllers = inFlight.get(job.exportId);
+      if (controllers) {
+        controllers.delete(controller);
+        if (controllers.size === 0) inFlight.delete(job.exportId);
+      }
+      return { ...counters };
+    },
+  };
+}
+
+/**
+ * Aborts every export of the given job streaming in this process.
+ * @param {string} exportId
+ * @returns {boolean} true if anything was aborted
+ */
+function cancelExport(exportId) {
+  const controllers = inFlight.get(exportId);
+  if (!controllers) return false;
+  for (const controller of controllers) controller.abort();
+  return true;
+}
+
+module.exports = { trackProgress, cancelExport };
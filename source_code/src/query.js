@@ -0,0 +1,237 @@
+'use strict';
+
+const { pool, queryInSnapshot } = require('./db');
+const { buildSelectClause } = require('./columns');
+const { buildWhereClause } = require('./filter');
+const { resolveOrdering } = require('./ordering');
+
+/**
+ * ORDER BY term for a sort key. Nullable columns sort their nulls last in
+ * either direction, which the keyset condition below relies on.
+ * @param {import('./ordering').SortKey} key
+ * @returns {string}
+ */
+function orderTerm({ column, direction, nullable }) {
+  return `"${column}" ${direction.toUpperCase()}${nullable ? ' NULLS LAST' : ''}`;
+}
+
+/**
+ * Keyset condition selecting the rows that sort after an anchor row:
+ * `(k1 after a1) OR (k1 = a1 AND k2 after a2) OR …`.
+ * @param {import('./ordering').SortKey[]} keys
+ * @param {string[]} anchors - SQL for each key's value in the anchor row
+ * @returns {string}
+ */
+function keysetCondition(keys, anchors) {
+  const equal = (key, i) =>
+    key.nullable ? `"${key.column}" IS NOT DISTINCT FROM ${anchors[i]}` : `"${key.column}" = ${anchors[i]}`;
+  const after = (key, i) => {
+    const cmp = `"${key.column}" ${key.direction === 'desc' ? '<' : '>'} ${anchors[i]}`;
+    // Nulls come last, so they follow any non-null anchor and nothing follows a null one
+    return key.nullable ? `(${anchors[i]} IS NOT NULL AND (${cmp} OR "${key.column}" IS NULL))` : cmp;
+  };
+
+  const terms = keys.map((key, i) => [...keys.slice(0, i).map(equal), after(key, i)].join(' AND '));
+  return terms.length === 1 ? terms[0] : `(${terms.map((term) => `(${term})`).join(' OR ')})`;
+}
+
+/**
+ * TABLESAMPLE clause of a percentage sample, or ''.
+ * @param {object|null} sample
+ * @param {function(*): string} bind
+ * @returns {string}
+ */
+function tablesampleClause(sample, bind) {
+  if (!sample || sample.percent === undefined) return '';
+  const method = (sample.method || 'bernoulli').toUpperCase();
+  const clause = ` TABLESAMPLE ${method} (${bind(sample.percent)}::float4)`;
+  return sample.seed === undefined ? clause : `${clause} REPEATABLE (${bind(sample.seed)}::float8)`;
+}
+
+/**
+ * Condition bounding a delta stream run to `from < column <= to`, or null for
+ * a job without a stream. A run whose dataset had no rows (`to` null) is empty.
+ * @param {{column: string, from?: string|null, to?: string|null}|null} stream
+ * @param {function(*): string} bind
+ * @returns {string|null}
+ */
+function streamCondition(stream, bind) {
+  if (!stream || stream.to === undefined) return null;
+  if (stream.to === null) return 'FALSE';
+  const column = `"${stream.column}"`;
+  const lower = stream.from === null || stream.from === undefined ? '' : `${column} > ${bind(stream.from)} AND `;
+  return `${lower}${column} <= ${bind(stream.to)}`;
+}
+
+/**
+ * Filter and stream conditions of a job, bound into `params`.
+ * @param {{filter: object|null, stream?: object|null}} job
+ * @param {import('./datasets').Dataset} dataset
+ * @param {Array} params
+ * @returns {string[]}
+ */
+function rowConditions(job, dataset, params) {
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+  const { whereClause } = buildWhereClause(job.filter, dataset, params);
+  const bounds = streamCondition(job.stream, bind);
+  return [whereClause && whereClause.slice('WHERE '.length), bounds].filter(Boolean);
+}
+
+/**
+ * Builds the parameterised SELECT for an export job.
+ * Shared by the live download route and the background worker so both read
+ * exactly the same rows in the same order.
+ *
+ * Rows are read from the job's dataset in its `orderBy` order, which always
+ * ends with the dataset's `orderKey` so the order is total. The order key is
+ * always selected (writers ignore columns that are not mapped) so the
+ * progress tracker can checkpoint the last row handed to the writer, and
+ * `afterId` restarts the keyset after a previously delivered row: directly
+ * on the key for the default order, otherwise by comparing every sort key
+ * with the values of that row.
+ *
+ * `limit` and an every-Nth `sample` pick rows by their position in the full
+ * order, so when a segment is resumed, or rows are numbered, the picked keys
+ * come from a subquery and the outer query only streams and resumes them.
+ *
+ * A delta stream run reads only the rows between its watermark bounds.
+ *
+ * @param {{columns: Array<object>, filter: object|null, orderBy?: Array|null, limit?: number|null, sample?: object|null, stream?: object|null}} job
+ * @param {import('./datasets').Dataset} dataset - the job's dataset
+ * @param {object} [options]
+ * @param {string} [options.afterId] - only rows after the row with this orderKey
+ * @returns {{sql: string, params: Array}}
+ */
+function buildExportQuery(job, dataset, { afterId } = {}) {
+  const key = `"${dataset.orderKey}"`;
+  const select = buildSelectClause(job.columns, dataset);
+  const { keys, limit, sample } = resolveOrdering(job, dataset);
+  const { params } = select;
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  let { selectClause } = select;
+  if (!select.columns.some((c) => c.key === dataset.orderKey)) selectClause += `, ${key}`;
+  const orderClause = `ORDER BY ${keys.map(orderTerm).join(', ')}`;
+
+  const every = sample && sample.every;
+  const picked = Boolean(every || (limit && afterId !== undefined));
+
+  let from = dataset.relation;
+  const where = [];
+  if (picked) {
+    // Rows selected by position in the full order, resumed by the outer query
+    const conditions = rowConditions(job, dataset, params);
+    let rows = `${dataset.relation}${tablesampleClause(sample, bind)}`;
+    if (conditions.length) rows += ` WHERE ${conditions.join(' AND ')}`;
+    let subquery;
+    if (every) {
+      const numbered = `SELECT ${key}, row_number() OVER (${orderClause}) AS "_rn" FROM ${rows}`;
+      subquery = `SELECT ${key} FROM (${numbered}) AS "_s" WHERE ("_rn" - 1) % ${bind(every)} = 0`;
+      if (limit) subquery += ` ORDER BY "_rn" LIMIT ${bind(limit)}`;
+    } else {
+      subquery = `SELECT ${key} FROM ${rows} ${orderClause} LIMIT ${bind(limit)}`;
+    }
+    where.push(`${key} IN (${subquery})`);
+  } else {
+    from += tablesampleClause(sample, bind);
+    where.push(...rowConditions(job, dataset, params));
+  }
+
+  if (afterId !== undefined) {
+    const after = bind(afterId);
+    const anchored = keys.filter((k) => k.column !== dataset.orderKey);
+    if (anchored.length) {
+      // One lookup of the last delivered row's sort values
+      const values = anchored.map((k, i) => `"${k.column}" AS "_a${i}"`).join(', ');
+      from += ` CROSS JOIN (SELECT ${values} FROM ${dataset.relation} WHERE ${key} = ${after}) AS "_after"`;
+    }
+    const anchors = keys.map((k) => (k.column === dataset.orderKey ? after : `"_after"."_a${anchored.indexOf(k)}"`));
+    where.push(keysetCondition(keys, anchors));
+  }
+
+  let sql = `SELECT ${selectClause} FROM ${from} ${where.length ? `WHERE ${where.join(' AND ')} ` : ''}${orderClause}`;
+  if (limit && !picked) sql += ` LIMIT ${bind(limit)}`;
+  return { sql, params };
+}
+
+/**
+ * Whether the dataset still has a row with the given order key; resuming a
+ * custom order looks up that row's sort values.
+ * @param {import('./datasets').Dataset} dataset
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function hasRow(dataset, id) {
+  const { rows } = await pool.query(`SELECT 1 FROM ${dataset.relation} WHERE "${dataset.orderKey}" = $1 LIMIT 1`, [id]);
+  return rows.length > 0;
+}
+
+/**
+ * Current high-water mark of a column: its greatest value as text, exactly as
+ * PostgreSQL prints it, so it binds back without loss of precision.
+ * @param {import('./datasets').Dataset} dataset
+ * @param {string} column - a long or timestamp column of the dataset
+ * @returns {Promise<string|null>} null when the column has no values
+ */
+async function findWatermark(dataset, column) {
+  const { rows } = await pool.query(`SELECT max("${column}")::text AS watermark FROM ${dataset.relation}`);
+  return rows[0].watermark;
+}
+
+/**
+ * Estimates how many rows an export job will produce, for progress reporting.
+ * Unfiltered jobs use the planner statistics in pg_class.reltuples (instant);
+ * filtered and stream jobs, or tables that have never been analysed, fall back to COUNT.
+ * Views have no planner statistics of their own, so they are always counted.
+ * The sample and limit are applied to the result arithmetically.
+ *
+ * @param {{filter: object|null, limit?: number|null, sample?: object|null, stream?: object|null}} job
+ * @param {import('./datasets').Dataset} dataset - the job's dataset
+ * @param {string} [snapshotId] - count in the export's snapshot (see db.openSnapshot)
+ * @returns {Promise<number>}
+ */
+async function estimateRowCount(job, dataset, snapshotId) {
+  let total = await countRows(job, dataset, snapshotId);
+  const { sample, limit } = job;
+  if (sample && sample.every) total = Math.ceil(total / sample.every);
+  if (sample && sample.percent !== undefined) total = Math.round((total * sample.percent) / 100);
+  return limit ? Math.min(total, limit) : total;
+}
+
+/**
+ * Rows of the dataset matching the job's filter and stream bounds (estimated
+ * when there are neither).
+ * @param {{filter: object|null, stream?: object|null}} job
+ * @param {import('./datasets').Dataset} dataset
+ * @param {string} [snapshotId]
+ * @returns {Promise<number>}
+ */
+async function countRows(job, dataset, snapshotId) {
+  const params = [];
+  const conditions = rowConditions(job, dataset, params);
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  if (!whereClause) {
+    const { rows } = await pool.query(
+      `SELECT reltuples::BIGINT AS estimate FROM pg_class WHERE oid = $1::regclass`,
+      [dataset.relation]
+    );
+    const estimate = Number(rows[0] && rows[0].estimate);
+    if (estimate > 0) return estimate;
+  }
+
+  const { rows } = await queryInSnapshot(
+    snapshotId,
+    `SELECT COUNT(*) AS total FROM ${dataset.relation} ${whereClause}`,
+    params
+  );
+  return Number(rows[0].total);
+}
+
+module.exports = { buildExportQuery, estimateRowCount, findWatermark, hasRow };
@@ -7,10 +7,11 @@ const path = require('path');
 const os = require('os');
 
 const { streamRows } = require('../db');
-const { writeCsv } = require('../writers/csvWriter');
-const { writeJson } = require('../writers/jsonWriter');
-const { writeXml } = require('../writers/xmlWriter');
-const { writeParquet } = require('../writers/parquetWriter');
+const { writeExport } = require('../writers');
+const { getDataset } = require('../datasets');
+const { createFileResponse, closeFileResponse } = require('../artifacts');
+const { VALID_FORMATS, CONTAINER_FORMATS } = require('../exportOptions');
+const { validateCompression, jobCompression } = require('../writers/compression');
 
 const DATASET_ROW_COUNT = 10_000_000;
 
@@ -24,13 +25,32 @@ const ALL_COLUMNS = [
 ];
 
 /**
- * Runs a single format benchmark, streaming to a temp file, and returns metrics.
+ * Parses the `?codecs=` list: `none` (uncompressed) or a codec, optionally with
+ * a level, e.g. `none,gzip,zstd:19`. Throws with a client-facing message.
+ * @param {string} list
+ * @returns {Array<{compression: string|null, compressionLevel: number|null}>}
+ */
+function parseCodecs(list) {
+  return list.split(',').map((entry) => {
+    const [codec, level, ...rest] = entry.trim().split(':');
+    if (codec === 'none' && level === undefined) return { compression: null, compressionLevel: null };
+    if (!codec || rest.length || (level !== undefined && !/^\d+$/.test(level))) {
+      throw new Error(`Invalid codec "${entry}". Use none, <codec> or <codec>:<level>.`);
+    }
+    const compressionLevel = level === undefined ? undefined : Number(level);
+    validateCompression(codec, compressionLevel);
+    return { compression: codec, compressionLevel: jobCompression({ compression: codec, compressionLevel }).level };
+  });
+}
+
+/**
+ * Runs a single format × codec benchmark, streaming to a temp file, and returns metrics.
  * @param {string} format
- * @returns {Promise<{format, durationSeconds, fileSizeBytes, peakMemoryMB}>}
+ * @param {{compression: string|null, compressionLevel: number|null}} codec
+ * @returns {Promise<{format, compression, compressionLevel, durationSeconds, fileSizeBytes, peakMemoryMB}>}
  */
-async function runBenchmark(format) {
-  const tmpFile = path.join(os.tmpdir(), `benchmark-${format}-${Date.now()}`);
-  const fileWriteStream = fs.createWriteStream(tmpFile);
+async function runBenchmark(format, { compression, compressionLevel }) {
+  const tmpFile = path.join(os.tmpdir(), `benchmark-${format}-${compression || 'none'}-${Date.now()}`);
 
   // Capture baseline heap
   if (global.gc) global.gc(); // hint GC if --expose-gc flag used
@@ -48,34 +68,13 @@ async function runBenchmark(format) {
     const sql = `SELECT id, created_at, name, value, metadata FROM public.records ORDER BY id`;
     const rowGenerator = streamRows(sql, []);
 
-    // Create a mock response-like object that writes to the temp file
-    // This lets us reuse the exact same writer implementations
-    const mockRes = Object.assign(fileWriteStream, {
-      headersSent: false,
-      setHeader: () => {},
-    });
-
-    switch (format) {
-      case 'csv':
-        await writeCsv(mockRes, rowGenerator, ALL_COLUMNS, false);
-        break;
-      case 'json':
-        await writeJson(mockRes, rowGenerator, ALL_COLUMNS, false);
-        break;
-      case 'xml':
-        await writeXml(mockRes, rowGenerator, ALL_COLUMNS, false);
-        break;
-      case 'parquet':
-        // Parquet writer manages its own temp file and pipes to mockRes
-        await writeParquet(mockRes, rowGenerator, ALL_COLUMNS);
-        break;
-    }
+    // A response-like file stream lets us reuse the exact same writer implementations
+    const fileRes = createFileResponse(tmpFile);
 
-    await new Promise((resolve, reject) => {
-      if (fileWriteStream.writableEnded) return resolve();
-      fileWriteStream.end(resolve);
-      fileWriteStream.on('error', reject);
-    });
+    const dataset = await getDataset();
+    const job = { format, columns: ALL_COLUMNS, compression, compressionLevel };
+    await writeExport(fileRes, rowGenerator, job, { dataset });
+    await closeFileResponse(fileRes);
   } finally {
     clearInterval(memoryPoller);
   }
@@ -89,6 +88,8 @@ async function runBenchmark(format) {
 
   return {
     format,
+    compression,
+    compressionLevel,
     durationSeconds: parseFloat((durationMs / 1000).toFixed(3)),
     fileSizeBytes,
     peakMemoryMB: parseFloat((peakHeap / 1024 / 1024).toFixed(2)),
@@ -98,22 +99,49 @@ async function runBenchmark(format) {
 // ── GET /exports/benchmark ────────────────────────────────────────────────────
 // NOTE: This route is mounted under /exports in index.js BEFORE /exports/:id
 // so `benchmark` is matched as a literal path, not as an :id param.
-router.get('/benchmark', async (_req, res) => {
-  console.log('[benchmark] Starting full benchmark across all 4 formats...');
+router.get('/benchmark', async (req, res) => {
+  // ?formats=csv,json&codecs=none,gzip,zstd:19 — every format by default, uncompressed
+  let formats = [...VALID_FORMATS];
+  let codecs = [{ compression: null, compressionLevel: null }];
+  try {
+    if (req.query.formats !== undefined) {
+      if (typeof req.query.formats !== 'string') throw new Error('"formats" must be a comma-separated list.');
+      formats = req.query.formats.split(',').map((f) => f.trim());
+      const unknown = formats.find((f) => !VALID_FORMATS.has(f));
+      if (unknown !== undefined) {
+        throw new Error(`Unknown format "${unknown}". Must be one of: ${[...VALID_FORMATS].join(', ')}.`);
+      }
+    }
+    if (req.query.codecs !== undefined) {
+      if (typeof req.query.codecs !== 'string') throw new Error('"codecs" must be a comma-separated list.');
+      codecs = parseCodecs(req.query.codecs);
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
+  // Parquet, Avro and XLSX compress internally and only run uncompressed
+  const runs = formats.flatMap((format) =>
+    codecs.filter((codec) => !codec.compression || !CONTAINER_FORMATS.has(format)).map((codec) => ({ format, codec }))
+  );
   const results = [];
-  const formats = ['csv', 'json', 'xml', 'parquet'];
 
-  for (const format of formats) {
-    console.log(`[benchmark] Running ${format.toUpperCase()}...`);
+  console.log(`[benchmark] Starting benchmark of ${runs.length} format/codec combinations...`);
+
+  for (const { format, codec } of runs) {
+    const { compression, compressionLevel } = codec;
+    const label = format.toUpperCase() + (compression ? `+${compression}:${compressionLevel}` : '');
+    console.log(`[benchmark] Running ${label}...`);
     try {
-      const result = await runBenchmark(format);
+      const result = await runBenchmark(format, codec);
       results.push(result);
-      console.log(`[benchmark] ${format.toUpperCase()} done in ${result.durationSeconds}s, ${(result.fileSizeBytes / 1e6).toFixed(1)} MB`);
+      const megabytes = (result.fileSizeBytes / 1e6).toFixed(1);
+      console.log(`[benchmark] ${label} done in ${result.durationSeconds}s, ${megabytes} MB`);
     } catch (err) {
-      console.error(`[benchmark] ${format} failed:`, err.message);
+      console.error(`[benchmark] ${label} failed:`, err.message);
       results.push({
         format,
+        ...codec,
         durationSeconds: -1,
         fileSizeBytes: -1,
         peakMemoryMB: -1,
@@ -122,6 +150,13 @@ router.get('/benchmark', async (_req, res) => {
     }
   }
 
+  // Uncompressed size / compressed size, when the format also ran uncompressed
+  for (const result of results) {
+    const plain = results.find((r) => r.format === result.format && !r.compression && r.fileSizeBytes > 0);
+    result.compressionRatio =
+      plain && result.fileSizeBytes > 0 ? parseFloat((plain.fileSizeBytes / result.fileSizeBytes).toFixed(2)) : null;
+  }
+
   res.status(200).json({
     datasetRowCount: DATASET_ROW_COUNT,
     results,
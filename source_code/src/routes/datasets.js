@@ -0,0 +1,32 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { getDataset, listDatasets } = require('../datasets');
+
+// ── GET /datasets ─────────────────────────────────────────────────────────────
+router.get('/', (_req, res) => {
+  res.status(200).json({ datasets: listDatasets() });
+});
+
+// ── GET /datasets/:name ───────────────────────────────────────────────────────
+router.get('/:name', async (req, res, next) => {
+  try {
+    const dataset = await getDataset(req.params.name);
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found.' });
+    }
+    return res.status(200).json({
+      name: dataset.name,
+      table: `${dataset.schema}.${dataset.table}`,
+      kind: dataset.kind,
+      orderKey: dataset.orderKey,
+      columns: [...dataset.columns].map(([name, column]) => ({ name, ...column })),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
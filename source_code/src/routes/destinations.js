@@ -0,0 +1,13 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { describeDestinations } = require('../destinations');
+
+// ── GET /destinations ─────────────────────────────────────────────────────────
+router.get('/', (_req, res) => {
+  res.status(200).json({ destinations: describeDestinations() });
+});
+
+module.exports = router;
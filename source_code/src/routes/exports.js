@@ -3,110 +3,467 @@
 const express = require('express');
 const router = express.Router();
 
-const { createJob, getJob, updateJobStatus } = require('../jobs');
-const { streamRows, buildSelectClause } = require('../db');
-const { writeCsv } = require('../writers/csvWriter');
-const { writeJson } = require('../writers/jsonWriter');
-const { writeXml } = require('../writers/xmlWriter');
-const { writeParquet } = require('../writers/parquetWriter');
+const fs = require('fs');
+const { validate: isUuid } = require('uuid');
 
-const VALID_FORMATS = new Set(['csv', 'json', 'xml', 'parquet']);
-const VALID_COMPRESSIONS = new Set(['gzip']);
+const { createJob, getJob, listJobs, deleteJob, updateJobStatus, listWebhookAttempts } = require('../jobs');
+const { streamRows, openSnapshot } = require('../db');
+const { getDataset } = require('../datasets');
+const { resolveColumns } = require('../columns');
+const { buildExportQuery, hasRow } = require('../query');
+const { resolveOrdering, seedSample } = require('../ordering');
+const { startStreamRun, finishStreamRun } = require('../streams');
+const { parseExportOptions, VALID_FORMATS, CONTAINER_FORMATS, BUNDLE_FORMAT } = require('../exportOptions');
+const { writeExport } = require('../writers');
+const { isFlattenDeclared } = require('../writers/flatten');
+const { buildXsd } = require('../writers/xsd');
+const { negotiateCompression } = require('../writers/compression');
+const { wakeWorkers } = require('../worker');
+const { validateDestination } = require('../destinations');
+const { artifactPath } = require('../artifacts');
+const { trackProgress, cancelExport } = require('../progress');
 
-// ── POST /exports ─────────────────────────────────────────────────────────────
-router.post('/', (req, res) => {
-  const { format, columns, compression } = req.body;
+const VALID_STATUSES = new Set(['pending', 'running', 'complete', 'error', 'cancelled']);
+
+const AFTER_ID_PATTERN = /^\d{1,19}$/;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// ── GET /exports ──────────────────────────────────────────────────────────────
+router.get('/', async (req, res, next) => {
+  const { status, format, scheduleId, createdAfter, createdBefore } = req.query;
 
-  // Validate format
-  if (!format || !VALID_FORMATS.has(format)) {
+  if (status !== undefined && !VALID_STATUSES.has(status)) {
     return res.status(400).json({
-      error: 'Invalid or missing "format". Must be one of: csv, json, xml, parquet.',
+      error: `Invalid "status". Must be one of: ${[...VALID_STATUSES].join(', ')}.`,
     });
   }
+  if (format !== undefined && !VALID_FORMATS.has(format) && format !== BUNDLE_FORMAT) {
+    return res.status(400).json({ error: 'Invalid "format".' });
+  }
+  if (scheduleId !== undefined && !(typeof scheduleId === 'string' && isUuid(scheduleId))) {
+    return res.status(400).json({ error: '"scheduleId" must be a UUID.' });
+  }
 
-  // Validate columns
-  if (!Array.isArray(columns) || columns.length === 0) {
-    return res.status(400).json({
-      error: '"columns" must be a non-empty array of {source, target} objects.',
-    });
+  const dates = {};
+  for (const [name, value] of Object.entries({ createdAfter, createdBefore })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `"${name}" must be an ISO-8601 date.` });
+    }
+    dates[name] = date;
   }
 
-  for (const col of columns) {
-    if (!col.source || !col.target || typeof col.source !== 'string' || typeof col.target !== 'string') {
-      return res.status(400).json({
-        error: 'Each column must have non-empty "source" and "target" string fields.',
-      });
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: '"offset" must be a non-negative integer.' });
+  }
+
+  try {
+    const { jobs, total } = await listJobs({ status, format, scheduleId, ...dates, limit, offset });
+    return res.status(200).json({ jobs: jobs.map(toJobResource), total, limit, offset });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── POST /exports ─────────────────────────────────────────────────────────────
+router.post('/', async (req, res, next) => {
+  const { background, destination: destinationOption } = req.body;
+  if (background !== undefined && typeof background !== 'boolean') {
+    return res.status(400).json({ error: '"background" must be a boolean.' });
+  }
+
+  // Delivering to a destination happens once the worker's artifact is complete
+  let destination = null;
+  if (destinationOption !== undefined && destinationOption !== null) {
+    if (background !== true) {
+      return res.status(400).json({ error: '"destination" requires "background": true.' });
+    }
+    try {
+      destination = validateDestination(destinationOption);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
   }
 
-  // Validate compression
-  if (compression && !VALID_COMPRESSIONS.has(compression)) {
-    return res.status(400).json({
-      error: 'Invalid "compression". Supported: gzip.',
-    });
+  try {
+    const { options, status, error } = await parseExportOptions(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const job = await createJob({ ...options, sample: seedSample(options.sample), background, destination });
+    if (job.background) wakeWorkers();
+    return res.status(201).json({ exportId: job.exportId, status: job.status });
+  } catch (err) {
+    return next(err);
   }
+});
 
-  // Validate column names against DB allowlist (early fail before DB query)
+// ── GET /exports/:id ──────────────────────────────────────────────────────────
+router.get('/:id', async (req, res, next) => {
   try {
-    buildSelectClause(columns);
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found.' });
+    }
+    return res.status(200).json(toJobResource(job));
   } catch (err) {
-    return res.status(400).json({ error: err.message });
+    return next(err);
   }
+});
 
-  // Parquet + gzip combination is not supported (Parquet is already compressed)
-  if (format === 'parquet' && compression === 'gzip') {
-    return res.status(400).json({
-      error: 'Parquet format does not support gzip compression (it is already compressed).',
+// ── GET /exports/:id/webhooks ─────────────────────────────────────────────────
+router.get('/:id/webhooks', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found.' });
+    }
+    const attempts = await listWebhookAttempts(job.exportId);
+    return res.status(200).json({
+      callbackUrl: job.callbackUrl,
+      attempts: attempts.map(toWebhookAttemptResource),
     });
+  } catch (err) {
+    return next(err);
   }
+});
 
-  const job = createJob({ format, columns, compression });
+// ── GET /exports/:id/xsd ──────────────────────────────────────────────────────
+router.get('/:id/xsd', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found.' });
+    }
+    if (job.format !== 'xml' && !(job.formats && job.formats.includes('xml'))) {
+      return res.status(400).json({ error: `Export job has format ${job.format}; only xml exports have an XSD.` });
+    }
+    const dataset = await getDataset(job.dataset);
+    if (!dataset) {
+      return res.status(409).json({ error: `Dataset "${job.dataset}" is no longer registered.` });
+    }
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', 'attachment; filename="export.xsd"');
+    return res.status(200).send(buildXsd(resolveColumns(job.columns, dataset), job.xmlOptions));
+  } catch (err) {
+    return next(err);
+  }
+});
 
-  return res.status(201).json({ exportId: job.exportId, status: job.status });
+// ── POST /exports/:id/cancel ──────────────────────────────────────────────────
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found.' });
+    }
+
+    // Only pending/running jobs can move to cancelled
+    if (!(await updateJobStatus(job.exportId, 'cancelled'))) {
+      const current = await getJob(job.exportId);
+      return res.status(409).json({
+        error: 'Export job is already finished.',
+        status: current ? current.status : job.status,
+      });
+    }
+
+    // Stop it here; replicas running it notice on their next progress flush
+    cancelExport(job.exportId);
+
+    return res.status(200).json(toJobResource(await getJob(job.exportId)));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── DELETE /exports/:id ───────────────────────────────────────────────────────
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found.' });
+    }
+
+    // Deleting an in-flight job cancels it first
+    await updateJobStatus(job.exportId, 'cancelled');
+    cancelExport(job.exportId);
+
+    await deleteJob(job.exportId);
+    if (job.artifact) {
+      fs.unlink(artifactPath(job.artifact.fileName), () => {});
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
 });
 
 // ── GET /exports/:id/download ─────────────────────────────────────────────────
-router.get('/:id/download', async (req, res) => {
-  const job = getJob(req.params.id);
+router.get('/:id/download', async (req, res, next) => {
+  let job;
+  try {
+    job = await getJob(req.params.id);
+  } catch (err) {
+    return next(err);
+  }
 
   if (!job) {
     return res.status(404).json({ error: 'Export job not found.' });
   }
 
-  const selectClause = buildSelectClause(job.columns);
-  const sql = `SELECT ${selectClause} FROM public.records ORDER BY id`;
-  const rowGenerator = streamRows(sql, []);
-  const compress = job.compression === 'gzip';
+  if (job.background) {
+    return sendArtifact(req, res, job);
+  }
+
+  if (job.status === 'cancelled') {
+    return res.status(409).json({ error: 'Export job was cancelled.', status: job.status });
+  }
+
+  let dataset;
+  try {
+    dataset = await getDataset(job.dataset);
+  } catch (err) {
+    return next(err);
+  }
+  if (!dataset) {
+    return res.status(409).json({ error: `Dataset "${job.dataset}" is no longer registered.` });
+  }
+
+  // Keyset resume token: restart the scan after the last order key the
+  // client received; the segment carries no header so it can be appended
+  const afterId = req.query.after_id;
+  if (afterId !== undefined) {
+    if (typeof afterId !== 'string' || !AFTER_ID_PATTERN.test(afterId)) {
+      return res.status(400).json({ error: '"after_id" must be a non-negative integer.' });
+    }
+    if (CONTAINER_FORMATS.has(job.format)) {
+      return res.status(400).json({
+        error: `"after_id" is not supported for ${job.format}; use a background job and HTTP Range requests.`,
+      });
+    }
+    if (job.formats) {
+      return res.status(400).json({
+        error: '"after_id" is not supported for exports bundling several formats; download the whole archive.',
+      });
+    }
+    if (job.archive) {
+      return res.status(400).json({
+        error: '"after_id" is not supported for exports split into parts; download the whole archive.',
+      });
+    }
+    // A discovered header depends on the first rows of each segment
+    const flatten = job.csvOptions && job.csvOptions.flatten;
+    if (flatten && !isFlattenDeclared(flatten, resolveColumns(job.columns, dataset))) {
+      return res.status(400).json({
+        error: '"after_id" requires every flattened JSON column to be declared in "csvOptions.flatten.fields".',
+      });
+    }
+    // A custom order resumes after the sort values of the row with that key
+    try {
+      const { keys } = resolveOrdering(job, dataset);
+      if (keys.some((key) => key.column !== dataset.orderKey) && !(await hasRow(dataset, afterId))) {
+        return res.status(400).json({ error: '"after_id" does not match a row of the dataset.' });
+      }
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  let progress;
+  try {
+    await updateJobStatus(job.exportId, 'running');
+    // A stream run is bounded when it starts; resumed segments keep its bounds
+    if (job.stream && (afterId === undefined || job.stream.to === undefined)) {
+      job = await startStreamRun(job, dataset);
+    }
+    const { sql, params } = buildExportQuery(job, dataset, { afterId });
+    // Opened last: nothing below can fail before progress.stop() releases it
+    const snapshot = job.snapshot ? await openSnapshot() : null;
+    const openRows = (signal) => streamRows(sql, params, undefined, { signal, snapshot: snapshot && snapshot.id });
+    progress = trackProgress(job, res, openRows, dataset, snapshot);
+  } catch (err) {
+    return next(err);
+  }
+
+  // Live streams are not byte-addressable; clients resume with ?after_id=
+  res.setHeader('Accept-Ranges', 'none');
+
+  // A text export whose job pins no codec is compressed as the client accepts
+  let negotiated = null;
+  if (!job.compression && !job.archive && !job.formats && !CONTAINER_FORMATS.has(job.format)) {
+    res.setHeader('Vary', 'Accept-Encoding');
+    negotiated = negotiateCompression(req.headers['accept-encoding']);
+  }
 
   try {
-    switch (job.format) {
-      case 'csv':
-        await writeCsv(res, rowGenerator, job.columns, compress);
-        break;
-      case 'json':
-        await writeJson(res, rowGenerator, job.columns, compress);
-        break;
-      case 'xml':
-        await writeXml(res, rowGenerator, job.columns, compress);
-        break;
-      case 'parquet':
-        await writeParquet(res, rowGenerator, job.columns);
-        break;
-      default:
-        res.status(500).json({ error: 'Unknown format.' });
-        return;
-    }
-    updateJobStatus(job.exportId, 'complete');
+    await writeExport(res, progress.rowGenerator, job, {
+      dataset,
+      continuation: afterId !== undefined,
+      negotiated,
+    });
+    // Only a completed run moves the watermark, or its rows would never be exported again
+    if ((await updateJobStatus(job.exportId, 'complete', await progress.stop())) && job.stream) {
+      await finishStreamRun(job);
+    }
   } catch (err) {
+    const counters = await progress.stop();
+    if (progress.signal.aborted) {
+      // The job is already marked cancelled and the response destroyed
+      console.log(`[exports] download of ${job.exportId} cancelled`);
+      return;
+    }
     console.error('[exports] download error:', err.message);
-    updateJobStatus(job.exportId, 'error');
+    await updateJobStatus(job.exportId, 'error', { errorMessage: err.message, ...counters }).catch((e) => {
+      console.error('[exports] failed to record job error:', e.message);
+    });
     // If headers not sent yet, return error JSON; otherwise just end the stream
     if (!res.headersSent) {
       res.status(500).json({ error: 'Export failed.', message: err.message });
-    } else {
+    } else if (!res.writableEnded) {
       res.end();
     }
   }
 });
 
+/**
+ * Public representation of a job, including live progress.
+ * percentComplete is capped at 99.9 until the job completes because the
+ * total is only an estimate.
+ * @param {import('../jobs').Job} job
+ * @returns {object}
+ */
+function toJobResource(job) {
+  let percentComplete = null;
+  if (job.status === 'complete') {
+    percentComplete = 100;
+  } else if (job.estimatedTotalRows > 0) {
+    percentComplete = Math.min(99.9, parseFloat(((job.rowsWritten / job.estimatedTotalRows) * 100).toFixed(1)));
+  }
+
+  return {
+    exportId: job.exportId,
+    dataset: job.dataset,
+    format: job.format,
+    formats: job.formats,
+    columns: job.columns,
+    compression: job.compression,
+    compressionLevel: job.compressionLevel,
+    filter: job.filter,
+    orderBy: job.orderBy,
+    limit: job.limit,
+    sample: job.sample,
+    stream: job.stream,
+    csvOptions: job.csvOptions,
+    xmlOptions: job.xmlOptions,
+    avroOptions: job.avroOptions,
+    parquetOptions: job.parquetOptions,
+    maxRowsPerFile: job.maxRowsPerFile,
+    maxBytesPerFile: job.maxBytesPerFile,
+    archive: job.archive,
+    background: job.background,
+    scheduleId: job.scheduleId,
+    destination: job.destination,
+    delivery: job.delivery,
+    callbackUrl: job.callbackUrl,
+    snapshot: job.snapshot,
+    snapshotTxid: job.snapshotTxid,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    errorMessage: job.errorMessage,
+    progress: {
+      rowsWritten: job.rowsWritten,
+      bytesWritten: job.bytesWritten,
+      estimatedTotalRows: job.estimatedTotalRows,
+      percentComplete,
+      checkpointId: job.checkpointId,
+    },
+  };
+}
+
+/**
+ * Public representation of a webhook delivery attempt.
+ * @param {import('../jobs').WebhookAttempt} attempt
+ * @returns {object}
+ */
+function toWebhookAttemptResource(attempt) {
+  return {
+    deliveryId: attempt.deliveryId,
+    event: attempt.event,
+    attempt: attempt.attempt,
+    attemptedAt: attempt.attemptedAt,
+    statusCode: attempt.statusCode,
+    error: attempt.error,
+    durationMs: attempt.durationMs,
+  };
+}
+
+/**
+ * Serves the materialised file of a background job, replaying the headers
+ * its writer set when the artifact was produced.
+ *
+ * Supports single `Range: bytes=…` requests (206 / 416) so interrupted
+ * downloads can resume; `If-Range` with a stale ETag falls back to the full
+ * file. Multi-range requests are answered with the full file.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('../jobs').Job} job
+ */
+function sendArtifact(req, res, job) {
+  if (job.status !== 'complete') {
+    return res.status(409).json({
+      error: 'Export is not ready for download.',
+      status: job.status,
+      ...(job.errorMessage ? { message: job.errorMessage } : {}),
+    });
+  }
+
+  const filePath = artifactPath(job.artifact.fileName);
+  fs.stat(filePath, (err, stat) => {
+    if (err) {
+      return res.status(410).json({ error: 'Export artifact is no longer available.' });
+    }
+
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    for (const [name, value] of Object.entries(job.artifact.headers)) {
+      res.setHeader(name, value);
+    }
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+
+    let start = 0;
+    let end = stat.size - 1;
+    const ifRange = req.get('If-Range');
+    const ranges = req.get('Range') && (!ifRange || ifRange === etag) ? req.range(stat.size) : undefined;
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+
+    res.setHeader('Content-Length', end - start + 1);
+    if (stat.size === 0) return res.end();
+
+    fs.createReadStream(filePath, { start, end })
+      .on('error', () => res.destroy())
+      .pipe(res);
+  });
+}
+
 module.exports = router;
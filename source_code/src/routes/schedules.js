@@ -0,0 +1,215 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { createSchedule, getSchedule, listSchedules, updateSchedule, deleteSchedule, listJobs } = require('../jobs');
+const { parseCron } = require('../cron');
+const { nextRunAt } = require('../scheduler');
+const { parseExportOptions } = require('../exportOptions');
+const { validateDestination } = require('../destinations');
+
+const SCHEDULE_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Validates the fields of a schedule request. With `partial` (PATCH) every
+ * field is optional.
+ * @param {object} body
+ * @param {boolean} partial
+ * @returns {Promise<{fields: object}|{status: number, error: string}>}
+ */
+async function parseScheduleFields(body, partial) {
+  const { name, cron, destination, enabled, export: definition } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !SCHEDULE_NAME.test(name)) {
+      return {
+        status: 400,
+        error: '"name" must start with a letter and contain at most 64 letters, digits, hyphens or underscores.',
+      };
+    }
+    fields.name = name;
+  }
+  if (cron !== undefined || !partial) {
+    try {
+      parseCron(cron);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+    fields.cron = cron.trim();
+  }
+  if (destination !== undefined || !partial) {
+    try {
+      fields.destination = validateDestination(destination);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      return { status: 400, error: '"enabled" must be a boolean.' };
+    }
+    fields.enabled = enabled;
+  }
+  if (definition !== undefined || !partial) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { status: 400, error: '"export" must be an object describing the export, as for POST /exports.' };
+    }
+    const { options, status, error } = await parseExportOptions(definition);
+    if (error) return { status, error: `Invalid "export": ${error}` };
+    fields.definition = options;
+  }
+  return { fields };
+}
+
+// ── GET /schedules ────────────────────────────────────────────────────────────
+router.get('/', async (_req, res, next) => {
+  try {
+    const schedules = await listSchedules();
+    return res.status(200).json({ schedules: schedules.map(toScheduleResource) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── POST /schedules ───────────────────────────────────────────────────────────
+router.post('/', async (req, res, next) => {
+  try {
+    const { fields, status, error } = await parseScheduleFields(req.body, false);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const enabled = fields.enabled !== false;
+    const schedule = await createSchedule({
+      ...fields,
+      enabled,
+      nextRunAt: enabled ? nextRunAt(fields.cron) : null,
+    });
+    return res.status(201).json(toScheduleResource(schedule));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── GET /schedules/:id ────────────────────────────────────────────────────────
+router.get('/:id', async (req, res, next) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found.' });
+    }
+    return res.status(200).json(toScheduleResource(schedule));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── PATCH /schedules/:id ──────────────────────────────────────────────────────
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found.' });
+    }
+    const { fields, status, error } = await parseScheduleFields(req.body, true);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // A new cron expression, or re-enabling, schedules the next run from now
+    const enabled = fields.enabled === undefined ? schedule.enabled : fields.enabled;
+    if (fields.cron !== undefined || fields.enabled !== undefined) {
+      fields.nextRunAt = enabled ? nextRunAt(fields.cron || schedule.cron) : null;
+    }
+    if (!(await updateSchedule(schedule.scheduleId, fields))) {
+      return res.status(404).json({ error: 'Schedule not found.' });
+    }
+    return res.status(200).json(toScheduleResource(await getSchedule(schedule.scheduleId)));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── DELETE /schedules/:id ─────────────────────────────────────────────────────
+// Runs already started finish; their jobs stay listed under GET /exports
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!(await deleteSchedule(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found.' });
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── GET /schedules/:id/runs ───────────────────────────────────────────────────
+router.get('/:id/runs', async (req, res, next) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: '"offset" must be a non-negative integer.' });
+  }
+
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found.' });
+    }
+    const { jobs, total } = await listJobs({ scheduleId: schedule.scheduleId, limit, offset });
+    return res.status(200).json({ runs: jobs.map(toRunResource), total, limit, offset });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Public representation of a schedule.
+ * @param {import('../jobs').Schedule} schedule
+ * @returns {object}
+ */
+function toScheduleResource(schedule) {
+  return {
+    scheduleId: schedule.scheduleId,
+    name: schedule.name,
+    cron: schedule.cron,
+    destination: schedule.destination,
+    export: schedule.definition,
+    enabled: schedule.enabled,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastExportId: schedule.lastExportId,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+}
+
+/**
+ * Run history entry: the job a schedule started.
+ * @param {import('../jobs').Job} job
+ * @returns {object}
+ */
+function toRunResource(job) {
+  const { startedAt, finishedAt } = job;
+  return {
+    exportId: job.exportId,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt,
+    finishedAt,
+    durationMs: startedAt && finishedAt ? new Date(finishedAt) - new Date(startedAt) : null,
+    rowsWritten: job.rowsWritten,
+    bytesWritten: job.bytesWritten,
+    output: job.delivery ? job.delivery.location : null,
+    errorMessage: job.errorMessage,
+  };
+}
+
+module.exports = router;
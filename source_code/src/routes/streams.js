@@ -0,0 +1,61 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { getStream, listStreams, deleteStream } = require('../jobs');
+
+// ── GET /streams ──────────────────────────────────────────────────────────────
+router.get('/', async (_req, res, next) => {
+  try {
+    const streams = await listStreams();
+    return res.status(200).json({ streams: streams.map(toStreamResource) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── GET /streams/:name ────────────────────────────────────────────────────────
+router.get('/:name', async (req, res, next) => {
+  try {
+    const stream = await getStream(req.params.name);
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found.' });
+    }
+    return res.status(200).json(toStreamResource(stream));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── DELETE /streams/:name ─────────────────────────────────────────────────────
+// Resets the stream: its next run exports the dataset from the beginning
+router.delete('/:name', async (req, res, next) => {
+  try {
+    if (!(await deleteStream(req.params.name))) {
+      return res.status(404).json({ error: 'Stream not found.' });
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Public representation of a stream.
+ * @param {import('../jobs').Stream} stream
+ * @returns {object}
+ */
+function toStreamResource(stream) {
+  return {
+    name: stream.name,
+    dataset: stream.dataset,
+    column: stream.column,
+    watermark: stream.watermark,
+    lastExportId: stream.lastExportId,
+    createdAt: stream.createdAt,
+    updatedAt: stream.updatedAt,
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,123 @@
+'use strict';
+
+const { createJob, listDueSchedules, claimScheduleRun, recordScheduleRun } = require('./jobs');
+const { parseCron, nextRun } = require('./cron');
+const { seedSample } = require('./ordering');
+const { exportFileName } = require('./artifacts');
+const { wakeWorkers } = require('./worker');
+
+/**
+ * Runs scheduled exports.
+ *
+ * Every SCHEDULER_INTERVAL_MS each replica looks for enabled schedules whose
+ * `nextRunAt` has passed. A run is claimed by moving the schedule's
+ * `nextRunAt` to its following cron time, conditionally on the value it was
+ * read with, so exactly one replica starts it. The run is an ordinary
+ * background job (carrying the schedule's id), claimed by a replica's worker
+ * pool; the worker delivers the finished artifact to the schedule's destination.
+ *
+ * Runs missed while no replica was up are not made up one by one: the first
+ * tick afterwards starts one run and schedules the next from the current time.
+ */
+const INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 15_000;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Next run of a cron expression after `after`.
+ * @param {string} cron - a validated expression
+ * @param {Date} [after]
+ * @returns {Date|null}
+ */
+function nextRunAt(cron, after = new Date()) {
+  return nextRun(parseCron(cron), after);
+}
+
+/**
+ * Output file name of a run: `<schedule name>-<UTC start time>.<ext>`.
+ * @param {import('./jobs').Schedule} schedule
+ * @param {Date} startedAt
+ * @returns {string}
+ */
+function runFileName(schedule, startedAt) {
+  const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  return exportFileName(schedule.definition, `${schedule.name}-${stamp}`);
+}
+
+/**
+ * Claims and starts one due run of a schedule.
+ *
+ * The job's options are built before the claim, so nothing but the job store
+ * can fail once the run is claimed. If the job cannot be created, the run is
+ * still recorded as an `error` job, so it is listed in the schedule's runs.
+ *
+ * @param {import('./jobs').Schedule} schedule
+ * @param {Date} now
+ * @returns {Promise<import('./jobs').Job|null>} null when another replica claimed it
+ */
+async function runSchedule(schedule, now) {
+  const { definition } = schedule;
+  const options = {
+    ...definition,
+    sample: seedSample(definition.sample),
+    background: true,
+    scheduleId: schedule.scheduleId,
+    destination: { ...schedule.destination, fileName: runFileName(schedule, now) },
+  };
+  if (!(await claimScheduleRun(schedule.scheduleId, schedule.nextRunAt, nextRunAt(schedule.cron, now)))) {
+    return null;
+  }
+
+  let job;
+  try {
+    job = await createJob(options);
+  } catch (err) {
+    console.error(`[scheduler] schedule ${schedule.scheduleId} could not start its run:`, err.message);
+    job = await createJob({ ...options, errorMessage: `The scheduled run could not be started: ${err.message}` });
+  }
+  // The job carries the schedule's id, so it is listed in the runs either way
+  await recordScheduleRun(schedule.scheduleId, job.exportId).catch((err) => {
+    console.error(`[scheduler] schedule ${schedule.scheduleId} could not record export ${job.exportId}:`, err.message);
+  });
+  if (job.status === 'error') return job;
+
+  wakeWorkers();
+  console.log(`[scheduler] schedule ${schedule.scheduleId} started export ${job.exportId}`);
+  return job;
+}
+
+/**
+ * Starts every due run. Overlapping ticks are skipped.
+ * @returns {Promise<void>}
+ */
+async function runDueSchedules() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    for (const schedule of await listDueSchedules(now)) {
+      try {
+        await runSchedule(schedule, now);
+      } catch (err) {
+        console.error(`[scheduler] schedule ${schedule.scheduleId} could not start:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[scheduler] could not list due schedules:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Starts polling for due schedules (idempotent). The timer does not keep the
+ * process alive on its own.
+ */
+function startScheduler() {
+  if (timer) return;
+  timer = setInterval(runDueSchedules, INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = { startScheduler, runDueSchedules, nextRunAt };
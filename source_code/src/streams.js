@@ -0,0 +1,103 @@
+'use strict';
+
+const { openStream, advanceStream, updateJobProgress } = require('./jobs');
+const { findWatermark } = require('./query');
+
+/**
+ * Delta exports: a job that names a `stream` exports only the rows added
+ * since the stream's previous successful run.
+ *
+ *   stream: { name: 'orders-nightly', column: 'created_at' }
+ *
+ * A stream follows one increasing column of its dataset (`column`, default
+ * the dataset's `orderKey`). Each run is bounded when it starts:
+ *
+ *   from = the stream's watermark (null on the first run: from the beginning)
+ *   to   = max(column) at that moment
+ *
+ * and reads `from < column <= to`. The bounds are stored on the job, so
+ * resumed segments (?after_id=) read the same rows. When the run completes
+ * the watermark moves from `from` to `to`, unless another run has moved it
+ * in the meantime. Rows whose column is NULL, or that arrive with a value at
+ * or below the watermark, are never exported by a stream.
+ */
+
+const STREAM_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const WATERMARK_TYPES = new Set(['long', 'timestamp']);
+
+/**
+ * Validates the `stream` option of a job. Throws with a client-facing message.
+ * @param {*} stream
+ * @param {{limit?: *, sample?: *}} job - a stream run must deliver every row up to its bound
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {{name: string, column: string}}
+ */
+function validateStream(stream, { limit, sample }, dataset) {
+  if (!stream || typeof stream !== 'object' || Array.isArray(stream)) {
+    throw new Error('"stream" must be an object.');
+  }
+  const { name, column = dataset.orderKey, ...rest } = stream;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "stream" field: ${unknown[0]}`);
+  }
+  if (typeof name !== 'string' || !STREAM_NAME.test(name)) {
+    throw new Error(
+      '"stream.name" must start with a letter and contain at most 64 letters, digits, hyphens or underscores.'
+    );
+  }
+  const spec = typeof column === 'string' ? dataset.columns.get(column) : undefined;
+  if (column !== dataset.orderKey && !(spec && WATERMARK_TYPES.has(spec.type))) {
+    throw new Error(`"stream.column" must be an integer or timestamp column of dataset "${dataset.name}".`);
+  }
+  if ((limit !== undefined && limit !== null) || (sample !== undefined && sample !== null)) {
+    throw new Error('"limit" and "sample" cannot be combined with "stream".');
+  }
+  return { name, column };
+}
+
+/**
+ * Why an existing stream cannot take a job, or null when it can: a stream
+ * keeps the dataset and column it was first opened with.
+ * @param {import('./jobs').Stream} current
+ * @param {{name: string, column: string}} stream - the job's stream option
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {string|null}
+ */
+function streamMismatch(current, stream, dataset) {
+  if (current.dataset === dataset.name && current.column === stream.column) return null;
+  return `Stream "${stream.name}" follows ${current.dataset}.${current.column}, not ${dataset.name}.${stream.column}.`;
+}
+
+/**
+ * Bounds a run of a stream job at the stream's watermark and the column's
+ * current maximum, and records the bounds on the job.
+ * @param {import('./jobs').Job} job
+ * @param {import('./datasets').Dataset} dataset
+ * @returns {Promise<import('./jobs').Job>} the job with its run bounds
+ */
+async function startStreamRun(job, dataset) {
+  const { name, column } = job.stream;
+  const current = await openStream({ name, column, dataset: dataset.name });
+  const mismatch = streamMismatch(current, { name, column }, dataset);
+  if (mismatch) throw new Error(mismatch);
+  const to = await findWatermark(dataset, column);
+  const stream = { name, column, from: current.watermark, to };
+  await updateJobProgress(job.exportId, { stream });
+  return { ...job, stream };
+}
+
+/**
+ * Advances the stream past a completed run.
+ * @param {import('./jobs').Job} job - with the bounds set by startStreamRun
+ * @returns {Promise<void>}
+ */
+async function finishStreamRun(job) {
+  const { name, from, to } = job.stream;
+  if (to === null || to === from) return;
+  if (!(await advanceStream(name, from, to, job.exportId))) {
+    console.error(`[streams] watermark of "${name}" moved during export ${job.exportId}; left unchanged`);
+  }
+}
+
+module.exports = { validateStream, streamMismatch, startStreamRun, finishStreamRun };
@@ -0,0 +1,339 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { getJob, onJobFinished, recordWebhookAttempt } = require('./jobs');
+
+/**
+ * Webhook notifications for finished jobs.
+ *
+ * A job created with a `callbackUrl` gets one signed POST when it is marked
+ * `complete` or `error`. The body is signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` using WEBHOOK_SECRET, sent as
+ * `X-Export-Signature: sha256=<hex>` next to `X-Export-Timestamp`, so
+ * receivers can both authenticate the call and reject replays.
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff (WEBHOOK_RETRY_BASE_MS, doubling) up to
+ * WEBHOOK_MAX_ATTEMPTS; every attempt is appended to the job's delivery log.
+ * Retries are timers of the replica that finished the job, so pending ones
+ * do not survive a restart of that replica.
+ *
+ * Clients choose the URL, so the server refuses to call itself or its
+ * private networks: a host must resolve to public addresses only, checked on
+ * the address each connection is made to. WEBHOOK_ALLOWED_HOSTS instead
+ * limits callbacks to the listed hosts (`*.example.com` for subdomains), which
+ * may then be internal.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2_000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10_000;
+const MAX_URL_LENGTH = 2048;
+
+const USER_AGENT = 'polyglot-export-engine-webhooks';
+
+// Loopback, private, link-local, shared, reserved and multicast ranges;
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ones
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Host names callbacks are limited to, from WEBHOOK_ALLOWED_HOSTS; empty when
+ * any public host is accepted.
+ * @returns {string[]}
+ */
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} hostname - as parsed by URL, IPv6 literals without brackets
+ * @param {string[]} allowed
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname, allowed) {
+  return allowed.some((host) => (host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host));
+}
+
+/**
+ * @param {string} address - an IP address
+ * @returns {boolean}
+ */
+function isNonPublicAddress(address) {
+  return NON_PUBLIC.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * @param {URL} url
+ * @returns {string} the host name, IPv6 literals without their brackets
+ */
+function hostnameOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Validates a `callbackUrl` option. Throws with a client-facing message.
+ * @param {*} url
+ */
+function validateCallbackUrl(url) {
+  let parsed = null;
+  if (typeof url === 'string' && url.length <= MAX_URL_LENGTH) {
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+    throw new Error(`"callbackUrl" must be an absolute http(s) URL of at most ${MAX_URL_LENGTH} characters.`);
+  }
+  const hostname = hostnameOf(parsed);
+  const allowed = allowedHosts();
+  if (allowed.length) {
+    if (!isAllowedHost(hostname, allowed)) {
+      throw new Error(`"callbackUrl" must point to one of the allowed hosts: ${allowed.join(', ')}.`);
+    }
+  } else if (
+    hostname === 'localhost' ||
+    hostname.endsWith('.localhost') ||
+    (net.isIP(hostname) && isNonPublicAddress(hostname))
+  ) {
+    throw new Error('"callbackUrl" must point to a public host, not this server or a private network.');
+  }
+  if (!process.env.WEBHOOK_SECRET) {
+    throw new Error('"callbackUrl" needs webhook signing to be configured on the server (WEBHOOK_SECRET).');
+  }
+}
+
+/**
+ * Signature of a payload sent at `timestamp` (seconds since the epoch).
+ * @param {string} timestamp
+ * @param {string} body
+ * @returns {string} `sha256=<hex>`
+ */
+function sign(timestamp, body) {
+  const hmac = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET);
+  return `sha256=${hmac.update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Notification payload of a finished job.
+ * @param {import('./jobs').Job} job
+ * @returns {object}
+ */
+function buildPayload(job) {
+  const { startedAt, finishedAt } = job;
+  return {
+    event: `export.${job.status}`,
+    exportId: job.exportId,
+    status: job.status,
+    dataset: job.dataset,
+    format: job.format,
+    compression: job.compression,
+    rowsWritten: job.rowsWritten,
+    bytesWritten: job.bytesWritten,
+    startedAt,
+    finishedAt,
+    durationMs: startedAt && finishedAt ? new Date(finishedAt) - new Date(startedAt) : null,
+    errorMessage: job.errorMessage,
+    scheduleId: job.scheduleId,
+    delivery: job.delivery,
+  };
+}
+
+/**
+ * Whether a failed attempt is worth repeating.
+ * @param {number|null} statusCode - null when no response arrived
+ * @returns {boolean}
+ */
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * dns.lookup for callbacks that refuses non-public addresses. It runs for the
+ * connection itself, so a second DNS answer cannot slip past the check.
+ * @param {string} hostname
+ * @param {object} options
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const refused = addresses.find(isNonPublicAddress);
+    if (refused) {
+      return callback(
+        Object.assign(new Error(`${hostname} resolves to a non-public address (${refused})`), { refused: true })
+      );
+    }
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * POSTs a body without following redirects.
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @returns {Promise<number>} the response status
+ */
+function post(url, headers, body) {
+  const parsed = new URL(url);
+  const hostname = hostnameOf(parsed);
+  const trusted = isAllowedHost(hostname, allowedHosts());
+  if (!trusted && net.isIP(hostname) && isNonPublicAddress(hostname)) {
+    return Promise.reject(Object.assign(new Error(`${hostname} is a non-public address`), { refused: true }));
+  }
+
+  const client = parsed.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      parsed,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: trusted ? undefined : publicLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      },
+      (res) => {
+        // Nothing is read from the response; release the connection
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Sends one attempt and logs it.
+ * @param {object} notification - {exportId, deliveryId, event, url, body}
+ * @param {number} attempt
+ * @returns {Promise<{statusCode: number|null, retryable: boolean}>} statusCode
+ *   is null on a network error, a timeout or a refused address
+ */
+async function sendAttempt({ exportId, deliveryId, event, url, body }, attempt) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attemptedAt = new Date();
+  let statusCode = null;
+  let error = null;
+  let refused = false;
+  try {
+    statusCode = await post(
+      url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Export-Event': event,
+        'X-Export-Delivery': deliveryId,
+        'X-Export-Timestamp': timestamp,
+        'X-Export-Signature': sign(timestamp, body),
+      },
+      body
+    );
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    refused = Boolean(err.refused);
+    error = err.cause?.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS} ms` : err.message;
+  }
+
+  await recordWebhookAttempt({
+    exportId,
+    deliveryId,
+    event,
+    url,
+    attempt,
+    statusCode,
+    error,
+    durationMs: Date.now() - attemptedAt.getTime(),
+    attemptedAt,
+  }).catch((err) => console.error(`[webhooks] could not log attempt for export ${exportId}:`, err.message));
+  return { statusCode, retryable: !refused && isRetryable(statusCode) };
+}
+
+/**
+ * Delivers a notification, retrying with exponential backoff.
+ * @param {object} notification
+ * @param {number} [attempt]
+ * @returns {Promise<void>}
+ */
+async function deliver(notification, attempt = 1) {
+  const { statusCode, retryable } = await sendAttempt(notification, attempt);
+  if (statusCode >= 200 && statusCode < 300) return;
+
+  if (attempt >= MAX_ATTEMPTS || !retryable) {
+    console.error(
+      `[webhooks] giving up on export ${notification.exportId} after ${attempt} attempt(s) (last: ${statusCode ?? 'no response'})`
+    );
+    return;
+  }
+  const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+  const timer = setTimeout(() => {
+    deliver(notification, attempt + 1).catch((err) =>
+      console.error(`[webhooks] export ${notification.exportId} notification failed:`, err.message)
+    );
+  }, delay);
+  timer.unref();
+}
+
+/**
+ * Notifies a finished job's callback URL, if it has one.
+ * @param {string} exportId
+ * @returns {Promise<void>}
+ */
+async function notifyJobFinished(exportId) {
+  const job = await getJob(exportId);
+  if (!job || !job.callbackUrl) return;
+
+  const payload = buildPayload(job);
+  await deliver({
+    exportId,
+    deliveryId: uuidv4(),
+    event: payload.event,
+    url: job.callbackUrl,
+    body: JSON.stringify(payload),
+  });
+}
+
+// Every status change to complete/error, from the download route or the worker
+onJobFinished((exportId) => {
+  notifyJobFinished(exportId).catch((err) =>
+    console.error(`[webhooks] export ${exportId} notification failed:`, err.message)
+  );
+});
+
+module.exports = { validateCallbackUrl, sign };
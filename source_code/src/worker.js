@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+
+const { streamRows, openSnapshot } = require('./db');
+const { updateJobStatus, claimPendingJob, touchJob, failStaleJobs } = require('./jobs');
+const { getDataset } = require('./datasets');
+const { startStreamRun, finishStreamRun } = require('./streams');
+const { buildExportQuery } = require('./query');
+const { writeExport } = require('./writers');
+const { trackProgress } = require('./progress');
+const { deliver } = require('./destinations');
+const { artifactPath, exportFileName, createFileResponse, closeFileResponse } = require('./artifacts');
+
+/**
+ * Worker pool for background exports.
+ *
+ * Pending background jobs wait in the job store, not in memory, so they
+ * outlive a restart and any replica can run them. Each replica claims the
+ * oldest one (see jobs.claimPendingJob) whenever it has spare concurrency,
+ * when a job is created on it and every EXPORT_WORKER_POLL_MS, and runs at
+ * most EXPORT_WORKER_CONCURRENCY at once, each holding one pooled client for
+ * its cursor.
+ *
+ * A running job's worker stamps it every third of EXPORT_JOB_LEASE_MS. A job
+ * not stamped for a whole lease belongs to a replica that stopped, and the
+ * next poll of any replica marks it `error`.
+ */
+const CONCURRENCY = parseInt(process.env.EXPORT_WORKER_CONCURRENCY, 10) || 2;
+const POLL_MS = parseInt(process.env.EXPORT_WORKER_POLL_MS, 10) || 5_000;
+const LEASE_MS = parseInt(process.env.EXPORT_JOB_LEASE_MS, 10) || 60_000;
+
+// A worker only finishes a job it still holds: one failed as abandoned, or
+// cancelled, keeps that outcome
+const HELD = ['running'];
+
+let active = 0;
+let draining = false;
+let wokenWhileDraining = false;
+let timer = null;
+
+/**
+ * Runs a claimed job, stamping its heartbeat until the export has ended.
+ * @param {import('./jobs').Job} job - already `running`
+ */
+async function runJob(job) {
+  const heartbeat = setInterval(() => {
+    touchJob(job.exportId).catch((err) => console.error(`[worker] heartbeat of ${job.exportId}:`, err.message));
+  }, LEASE_MS / 3);
+  heartbeat.unref();
+  try {
+    await exportJob(job);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Exports a job into its artifact file and records the outcome.
+ * The file is written under a ".part" name and renamed only once complete,
+ * so a download never serves a truncated artifact. Jobs with a destination
+ * then deliver it there; the job only completes once delivery has succeeded.
+ * @param {import('./jobs').Job} job
+ */
+async function exportJob(job) {
+  const fileName = exportFileName(job, job.exportId);
+  const finalPath = artifactPath(fileName);
+  const partPath = `${finalPath}.part`;
+
+  let dataset;
+  let query;
+  let fileRes;
+  let snapshot = null;
+  try {
+    dataset = await getDataset(job.dataset);
+    if (!dataset) throw new Error(`Dataset "${job.dataset}" is no longer registered.`);
+    if (job.stream) job = await startStreamRun(job, dataset);
+    query = buildExportQuery(job, dataset);
+    fileRes = createFileResponse(partPath);
+    // Opened last: nothing below can fail before progress.stop() releases it
+    if (job.snapshot) snapshot = await openSnapshot();
+  } catch (err) {
+    if (fileRes) {
+      fileRes.destroy();
+      fs.unlink(partPath, () => {});
+    }
+    console.error(`[worker] export ${job.exportId} failed:`, err.message);
+    await updateJobStatus(job.exportId, 'error', { errorMessage: err.message }, HELD);
+    return;
+  }
+
+  const { sql, params } = query;
+  const openRows = (signal) => streamRows(sql, params, undefined, { signal, snapshot: snapshot && snapshot.id });
+  const progress = trackProgress(job, fileRes, openRows, dataset, snapshot);
+  try {
+    await writeExport(fileRes, progress.rowGenerator, job, { dataset });
+    await closeFileResponse(fileRes);
+    await fs.promises.rename(partPath, finalPath);
+
+    const { rowsWritten } = await progress.stop();
+    const { size } = await fs.promises.stat(finalPath);
+    if (!(await touchJob(job.exportId))) {
+      console.error(`[worker] export ${job.exportId} is no longer running; not delivered`);
+      return;
+    }
+    // Ad-hoc jobs keep the artifact's name; scheduled runs name their output
+    const delivery = job.destination
+      ? await deliver(finalPath, { fileName, ...job.destination }, fileRes.capturedHeaders)
+      : null;
+    const completed = await updateJobStatus(
+      job.exportId,
+      'complete',
+      { rowsWritten, bytesWritten: size, artifact: { fileName, headers: fileRes.capturedHeaders }, delivery },
+      HELD
+    );
+    if (!completed) {
+      console.error(`[worker] export ${job.exportId} ended elsewhere; its outcome is kept`);
+      return;
+    }
+    // Only a completed run moves the watermark, or its rows would never be exported again
+    if (job.stream) await finishStreamRun(job);
+  } catch (err) {
+    fileRes.destroy();
+    fs.unlink(partPath, () => {});
+    const counters = await progress.stop();
+    if (progress.signal.aborted) {
+      console.log(`[worker] export ${job.exportId} cancelled`);
+      return;
+    }
+    console.error(`[worker] export ${job.exportId} failed:`, err.message);
+    await updateJobStatus(job.exportId, 'error', { errorMessage: err.message, ...counters }, HELD);
+  }
+}
+
+/**
+ * Claims and starts pending jobs while there is spare concurrency.
+ */
+async function drain() {
+  if (draining) {
+    wokenWhileDraining = true;
+    return;
+  }
+  draining = true;
+  try {
+    do {
+      wokenWhileDraining = false;
+      while (active < CONCURRENCY) {
+        const job = await claimPendingJob();
+        if (!job) break;
+        active += 1;
+        runJob(job)
+          .catch((err) => console.error(`[worker] could not record job ${job.exportId}:`, err.message))
+          .finally(() => {
+            active -= 1;
+            drain();
+          });
+      }
+    } while (wokenWhileDraining);
+  } catch (err) {
+    console.error('[worker] could not claim a job:', err.message);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Fails jobs left running by stopped replicas, then looks for pending ones.
+ */
+async function poll() {
+  try {
+    const failed = await failStaleJobs(new Date(Date.now() - LEASE_MS));
+    for (const exportId of failed) console.error(`[worker] export ${exportId} was abandoned by its server`);
+  } catch (err) {
+    console.error('[worker] could not check for abandoned jobs:', err.message);
+  }
+  await drain();
+}
+
+/**
+ * Wakes this replica's pool after a background job was created, rather than
+ * leaving the job for the next poll.
+ */
+function wakeWorkers() {
+  drain();
+}
+
+/**
+ * Starts polling the store for pending and abandoned jobs (idempotent). The
+ * first poll runs right away, so jobs left pending by a restart resume. The
+ * timer does not keep the process alive on its own.
+ */
+function startWorkers() {
+  if (timer) return;
+  timer = setInterval(poll, POLL_MS);
+  timer.unref();
+  poll();
+}
+
+module.exports = { startWorkers, wakeWorkers };
@@ -0,0 +1,317 @@
+'use strict';
+
+const avro = require('avsc');
+const snappy = require('snappyjs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const { waitForDrain } = require('./streams');
+const { decimalFormat, toUnscaledDecimal, toDecimalBytes, inferShape, coerceToShape } = require('./schema');
+
+const VALID_CODECS = new Set(['null', 'deflate', 'snappy']);
+const VALID_VALUE_TYPES = new Set(['double', 'decimal']);
+const VALID_METADATA_TYPES = new Set(['string', 'record']);
+
+const DEFAULT_BLOCK_SIZE = 64 * 1024;
+const MIN_BLOCK_SIZE = 1024;
+const MAX_BLOCK_SIZE = 16 * 1024 * 1024;
+
+// Avro names: [A-Za-z_] followed by [A-Za-z0-9_]
+const AVRO_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Avro snappy blocks carry the compressed bytes followed by the big-endian
+ * CRC-32 of the uncompressed block (Avro spec, "Required Codecs"). zlib.crc32
+ * is why the package needs Node 20.15.
+ */
+const CODECS = {
+  ...avro.streams.BlockEncoder.getDefaultCodecs(),
+  snappy(buf, cb) {
+    let compressed;
+    try {
+      compressed = snappy.compress(buf);
+    } catch (err) {
+      return cb(err);
+    }
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(zlib.crc32(buf));
+    return cb(null, Buffer.concat([compressed, checksum]));
+  },
+};
+
+/**
+ * Avro `long` values as BigInts. pg returns BIGINT as a string, and avsc's
+ * default long only takes safe JavaScript integers, so ids past 2^53 would
+ * otherwise be rejected (or rounded on the way through Number).
+ */
+const BIGINT_LONG = avro.types.LongType.__with({
+  fromBuffer: (buf) => buf.readBigInt64LE(),
+  toBuffer: (n) => {
+    const buf = Buffer.alloc(8);
+    buf.writeBigInt64LE(n);
+    return buf;
+  },
+  fromJSON: BigInt,
+  toJSON: Number,
+  isValid: (n) => typeof n === 'bigint',
+  compare: (a, b) => (a === b ? 0 : a < b ? -1 : 1),
+});
+
+/**
+ * Logical types are converted by `getAvroField` before encoding, so avsc only
+ * has to pass them through. Registering them keeps their attributes in the
+ * header, which avsc would otherwise drop when exporting a parsed schema.
+ */
+class DeclaredLogicalType extends avro.types.LogicalType {
+  constructor(schema, opts) {
+    super(schema, opts);
+    this._declared = schema.logicalType === 'decimal' ? { precision: schema.precision, scale: schema.scale } : {};
+  }
+
+  _fromValue(val) {
+    return val;
+  }
+
+  _toValue(val) {
+    return val;
+  }
+
+  _export(attrs) {
+    Object.assign(attrs, this._declared);
+  }
+}
+
+/**
+ * Parses the export's record schema: plain `long` fields take BigInts,
+ * timestamps stay millisecond Numbers.
+ * @param {object} schema
+ * @returns {import('avsc').Type}
+ */
+function createRecordType(schema) {
+  return avro.Type.forSchema(schema, {
+    registry: { long: BIGINT_LONG },
+    logicalTypes: { 'timestamp-millis': DeclaredLogicalType, decimal: DeclaredLogicalType },
+  });
+}
+
+/**
+ * Validates the `avroOptions` of a job and the column targets used as Avro
+ * field names. Throws with a client-facing message, like `buildSelectClause`.
+ *
+ * @param {object|undefined} options
+ * @param {Array<{source:string, target:string}>} columns
+ */
+function validateAvroOptions(options, columns) {
+  for (const col of columns) {
+    if (!AVRO_NAME.test(col.target)) {
+      throw new Error(`Invalid Avro field name "${col.target}": use letters, digits and "_" only.`);
+    }
+  }
+  if (new Set(columns.map((col) => col.target)).size !== columns.length) {
+    throw new Error('Avro field names ("target") must be unique.');
+  }
+
+  if (options === undefined || options === null) return;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"avroOptions" must be an object.');
+  }
+
+  const { codec, blockSize, valueType, metadataType, ...rest } = options;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "avroOptions" field: ${unknown[0]}`);
+  }
+  if (codec !== undefined && !VALID_CODECS.has(codec)) {
+    throw new Error(`Invalid "avroOptions.codec". Must be one of: ${[...VALID_CODECS].join(', ')}.`);
+  }
+  if (
+    blockSize !== undefined &&
+    (!Number.isInteger(blockSize) || blockSize < MIN_BLOCK_SIZE || blockSize > MAX_BLOCK_SIZE)
+  ) {
+    throw new Error(`"avroOptions.blockSize" must be an integer between ${MIN_BLOCK_SIZE} and ${MAX_BLOCK_SIZE}.`);
+  }
+  if (valueType !== undefined && !VALID_VALUE_TYPES.has(valueType)) {
+    throw new Error('Invalid "avroOptions.valueType". Must be one of: double, decimal.');
+  }
+  if (metadataType !== undefined && !VALID_METADATA_TYPES.has(metadataType)) {
+    throw new Error('Invalid "avroOptions.metadataType". Must be one of: string, record.');
+  }
+}
+
+// ── Schema and value mapping ─────────────────────────────────────────────────
+
+/**
+ * Converts a shape to an Avro type. Every nested field is a nullable union
+ * defaulting to null, since JSONB documents need not all carry every key.
+ * @param {object|null} shape
+ * @param {string} name - record name, unique within the schema
+ * @returns {object|string}
+ */
+function shapeToAvro(shape, name) {
+  if (!shape) return 'string';
+  switch (shape.kind) {
+    case 'array':
+      return { type: 'array', items: ['null', shapeToAvro(shape.items, `${name}_item`)] };
+    case 'record':
+      return {
+        type: 'record',
+        name,
+        fields: [...shape.fields].map(([key, child]) => {
+          if (!AVRO_NAME.test(key)) {
+            throw new Error(`JSONB key "${key}" is not a valid Avro field name; use metadataType "string".`);
+          }
+          return { name: key, type: ['null', shapeToAvro(child, `${name}_${key}`)], default: null };
+        }),
+      };
+    default:
+      return shape.kind;
+  }
+}
+
+/**
+ * Maps a column's output type to an Avro field type and a converter from the
+ * pg value.
+ * @param {import('../columns').Column} col
+ * @param {{valueType: string, metadataType: string}} options
+ * @param {object[]} sample - first batch of rows, used to infer nested metadata
+ * @returns {{type: object|string, convert: (val: *) => *}}
+ */
+function getAvroField(col, options, sample) {
+  switch (col.type) {
+    case 'long':
+      // pg returns BIGINT as a string
+      return { type: 'long', convert: (val) => BigInt(val) };
+    case 'double':
+      return { type: 'double', convert: (val) => Number(val) };
+    case 'decimal':
+      if (options.valueType === 'decimal') {
+        const format = decimalFormat(col);
+        return {
+          type: { type: 'bytes', logicalType: 'decimal', ...format },
+          convert: (val) => toDecimalBytes(toUnscaledDecimal(val, format)),
+        };
+      }
+      return { type: 'double', convert: (val) => parseFloat(val) };
+    case 'timestamp':
+      return {
+        type: { type: 'long', logicalType: 'timestamp-millis' },
+        convert: (val) => (val instanceof Date ? val : new Date(val)).getTime(),
+      };
+    case 'boolean':
+      return { type: 'boolean', convert: (val) => val };
+    case 'json':
+      if (options.metadataType === 'record') {
+        const shape = inferShape(sample, col.key);
+        if (shape && shape.kind === 'record' && shape.fields.size > 0) {
+          return { type: shapeToAvro(shape, `${col.target}_record`), convert: (val) => coerceToShape(shape, val) };
+        }
+      }
+      return { type: 'string', convert: (val) => (typeof val === 'string' ? val : JSON.stringify(val)) };
+    default:
+      return { type: 'string', convert: (val) => String(val) };
+  }
+}
+
+/**
+ * Makes a field of a computed column a union with null, since transforms,
+ * JSONB paths and type conversions can all produce NULL.
+ * @param {import('../columns').Column} col
+ * @param {{type: object|string, convert: (val: *) => *}} field
+ * @returns {{type: object|string|Array, convert: (val: *) => *}}
+ */
+function withNullable(col, { type, convert }) {
+  if (!col.nullable) return { type, convert };
+  return { type: ['null', type], convert: (val) => (val === null ? null : convert(val)) };
+}
+
+/**
+ * Streams rows as an Avro Object Container File.
+ *
+ * The schema is derived from the selected columns and written in the file
+ * header; when `metadata` is exported as a nested record its fields are
+ * inferred from the first batch, so the header is written once that batch
+ * has arrived. Records are then encoded into blocks of about `blockSize`
+ * bytes, each compressed with the job's codec and piped to `res`.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>}      rowGenerator
+ * @param {import('../columns').Column[]} columns
+ * @param {object} [avroOptions]
+ * @param {string} [avroOptions.codec]        - null | deflate | snappy (default null)
+ * @param {number} [avroOptions.blockSize]    - bytes per block (default 64 KiB)
+ * @param {string} [avroOptions.valueType]    - double | decimal (default double)
+ * @param {string} [avroOptions.metadataType] - string | record (default string)
+ */
+async function writeAvro(res, rowGenerator, columns, avroOptions) {
+  const options = {
+    codec: 'null',
+    blockSize: DEFAULT_BLOCK_SIZE,
+    valueType: 'double',
+    metadataType: 'string',
+    ...avroOptions,
+  };
+
+  // Avro compresses its own blocks, so there is no gzip wrapper
+  res.setHeader('Content-Type', 'application/avro');
+  res.setHeader('Content-Disposition', 'attachment; filename="export.avro"');
+
+  let encoder;
+  try {
+    const first = await rowGenerator.next();
+    const sample = first.done ? [] : first.value;
+
+    const fields = columns.map((col) => ({ col, ...withNullable(col, getAvroField(col, options, sample)) }));
+    const schema = {
+      type: 'record',
+      name: 'Record',
+      namespace: 'export',
+      fields: fields.map(({ col, type }) => ({ name: col.target, type })),
+    };
+
+    encoder = new avro.streams.BlockEncoder(createRecordType(schema), {
+      codec: options.codec,
+      codecs: CODECS,
+      blockSize: options.blockSize,
+      // An export with no rows must still be a readable file
+      writeHeader: 'always',
+    });
+    pipeline(encoder, res, (err) => {
+      if (err) console.error('[avroWriter] pipeline error:', err.message);
+    });
+
+    // avsc skips records that do not match the schema and only reports them
+    // through this event; a silently shorter file is worse than a failed one
+    let typeError;
+    encoder.on('typeError', (err) => {
+      typeError = typeError || err;
+    });
+
+    const writeBatch = async (batch) => {
+      for (const row of batch) {
+        const record = {};
+        for (const { col, convert } of fields) {
+          record[col.target] = convert(row[col.key]);
+        }
+        if (!encoder.write(record)) await waitForDrain(encoder);
+        if (typeError) throw typeError;
+      }
+    };
+
+    await writeBatch(sample);
+    for await (const batch of rowGenerator) {
+      await writeBatch(batch);
+    }
+
+    encoder.end();
+    await finished(res, { readable: false });
+  } catch (err) {
+    console.error('[avroWriter] error:', err.message);
+    if (encoder) encoder.destroy(err);
+    // Only the for-await loop closes the generator by itself
+    rowGenerator.return().catch(() => {});
+    if (!res.writableEnded) res.end();
+    throw err;
+  }
+}
+
+module.exports = { writeAvro, validateAvroOptions };
@@ -0,0 +1,209 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const { exportFileName, createFileResponse, closeFileResponse } = require('../artifacts');
+const { TMP_DIR, COMPRESSED_FORMATS, digest, appendEntry } = require('./parts');
+
+/**
+ * Writes one export in several formats — `export.csv`, `export.parquet`, … —
+ * streamed as a single ZIP archive that ends with a `manifest.json`.
+ *
+ * The rows are read once: every batch from the cursor is handed to each
+ * format's writer in turn (see fanOut), so the query runs a single time
+ * whatever the number of formats. The first format is written straight into
+ * the archive as the rows arrive; the others are written to temporary files
+ * under PART_TMP_DIR, appended once the cursor is exhausted and deleted.
+ *
+ * The archive is always ZIP64, since a bundle of a large dataset can exceed
+ * the 4 GiB limit of plain ZIP and the entries' sizes are not known up front.
+ */
+
+const MAX_BUNDLE_FORMATS = 7;
+
+/**
+ * Validates a `formats` list. Throws with a client-facing message.
+ * @param {*} formats
+ * @param {Set<string>} validFormats
+ */
+function validateBundleFormats(formats, validFormats) {
+  if (
+    !Array.isArray(formats) ||
+    formats.length < 2 ||
+    formats.length > MAX_BUNDLE_FORMATS ||
+    formats.some((format) => !validFormats.has(format))
+  ) {
+    throw new Error(`"formats" must list at least two of: ${[...validFormats].join(', ')}.`);
+  }
+  if (new Set(formats).size !== formats.length) {
+    throw new Error('"formats" must not repeat a format.');
+  }
+}
+
+/**
+ * Splits a batch generator into `count` generators that each yield every
+ * batch. A batch is read from the source only once every consumer has asked
+ * for it, so the slowest writer paces the cursor and a single batch is held
+ * in memory at a time. A consumer that returns early stops taking part.
+ *
+ * @param {AsyncGenerator<object[]>} source
+ * @param {number} count
+ * @returns {{consumers: AsyncGenerator<object[]>[], abort: (err: Error) => void}}
+ */
+function fanOut(source, count) {
+  let active = count;
+  let waiting = [];
+  let failure = null;
+
+  const pull = () => {
+    const pending = waiting;
+    waiting = [];
+    source.next().then(
+      (result) => pending.forEach((w) => w.resolve(result)),
+      (err) => {
+        failure = err;
+        pending.forEach((w) => w.reject(err));
+      }
+    );
+  };
+
+  const next = () =>
+    new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      waiting.push({ resolve, reject });
+      if (waiting.length === active) pull();
+    });
+
+  const leave = () => {
+    active -= 1;
+    if (active > 0 && waiting.length === active) pull();
+  };
+
+  async function* consumer() {
+    try {
+      for (;;) {
+        const { value, done } = await next();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      leave();
+    }
+  }
+
+  const abort = (err) => {
+    failure = err;
+    const pending = waiting;
+    waiting = [];
+    pending.forEach((w) => w.reject(err));
+    source.return().catch(() => {});
+  };
+
+  return { consumers: Array.from({ length: count }, consumer), abort };
+}
+
+/**
+ * Pass-through sink for the entry written live: a response-like stream (see
+ * artifacts.createFileResponse) that counts and hashes what passes through.
+ * @returns {Transform & {headersSent: boolean, setHeader: Function, bytes: number, hash: crypto.Hash}}
+ */
+function createEntryResponse() {
+  const entry = new Transform({
+    transform(chunk, _encoding, callback) {
+      entry.bytes += chunk.length;
+      entry.hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  // As with file responses, a writer's failure reaches the caller through the writer
+  entry.on('error', () => {});
+  return Object.assign(entry, { headersSent: false, setHeader: () => {}, bytes: 0, hash: crypto.createHash('sha256') });
+}
+
+/**
+ * Streams the job's rows in each of its `formats`, bundled in one ZIP archive.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>} rowGenerator
+ * @param {{exportId?: string, formats: string[]}} job
+ * @param {(sink: import('stream').Writable, rows: AsyncGenerator<object[]>, format: string) => Promise<void>} writeFormat
+ *   - writes the rows with a format's writer
+ */
+async function writeBundle(res, rowGenerator, job, writeFormat) {
+  const { formats } = job;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="export.zip"');
+
+  // Count the rows once, on their way to the writers
+  let rows = 0;
+  async function* counted() {
+    for await (const batch of rowGenerator) {
+      rows += batch.length;
+      yield batch;
+    }
+  }
+  const { consumers, abort } = fanOut(counted(), formats.length);
+
+  const bundle = archiver('zip', { forceZip64: true });
+  // pipeline() destroys the archive if res closes early, failing the live entry
+  pipeline(bundle, res, (err) => {
+    if (err) console.error('[bundle] pipeline error:', err.message);
+  });
+
+  const names = formats.map((format) => exportFileName({ format, compression: null }, 'export'));
+  const live = createEntryResponse();
+  const files = formats.slice(1).map((format, i) => path.join(TMP_DIR, `${uuidv4()}-${names[i + 1]}`));
+  const sinks = [];
+
+  try {
+    await fs.promises.mkdir(TMP_DIR, { recursive: true });
+    sinks.push(live, ...files.map((file) => createFileResponse(file)));
+    bundle.append(live, { name: names[0], store: COMPRESSED_FORMATS.has(formats[0]) });
+
+    await Promise.all(
+      formats.map((format, i) =>
+        writeFormat(sinks[i], consumers[i], format).catch((err) => {
+          abort(err);
+          throw err;
+        })
+      )
+    );
+
+    const entries = [{ file: names[0], format: formats[0], bytes: live.bytes, sha256: live.hash.digest('hex') }];
+    for (const [i, file] of files.entries()) {
+      const format = formats[i + 1];
+      await closeFileResponse(sinks[i + 1]);
+      const { size, sha256 } = await digest(file);
+      await appendEntry(bundle, file, { name: names[i + 1], store: COMPRESSED_FORMATS.has(format) });
+      entries.push({ file: names[i + 1], format, bytes: size, sha256 });
+    }
+
+    const manifest = {
+      exportId: job.exportId,
+      formats,
+      createdAt: new Date().toISOString(),
+      totalRows: rows,
+      files: entries,
+    };
+    bundle.append(`${JSON.stringify(manifest, null, 2)}\n`, { name: 'manifest.json' });
+    await bundle.finalize();
+    // Resolve only once the archive's last bytes have reached res
+    await finished(res, { readable: false });
+  } catch (err) {
+    console.error('[bundle] stream error:', err.message);
+    abort(err);
+    bundle.destroy(err);
+    if (!res.writableEnded) res.end();
+    throw err;
+  } finally {
+    for (const sink of sinks) sink.destroy();
+    for (const file of files) fs.unlink(file, () => {});
+  }
+}
+
+module.exports = { writeBundle, validateBundleFormats };
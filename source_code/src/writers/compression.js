@@ -0,0 +1,177 @@
+'use strict';
+
+const zlib = require('zlib');
+const { CompressStream } = require('zstd-napi');
+
+/**
+ * Stream compression of the text formats (CSV, JSON, NDJSON, XML).
+ *
+ * A job may pin a codec (`compression`, optionally `compressionLevel`): the
+ * output is then a compressed file, named with the codec's extension and
+ * served with its `Content-Encoding`. A live download of a job that pins
+ * none is compressed with the codec negotiated from the request's
+ * `Accept-Encoding` instead, as a plain transfer encoding of `export.csv`.
+ *
+ * Brotli's own default quality (11) is far too slow for streaming millions of
+ * rows, so its default here is 4, the usual setting for dynamic content.
+ */
+
+/**
+ * @typedef {object} Compression
+ * @property {string}  codec        - gzip | deflate | brotli | zstd
+ * @property {number}  level
+ * @property {boolean} [negotiated] - chosen from Accept-Encoding for this response only
+ */
+
+const CODECS = {
+  gzip: {
+    encoding: 'gzip',
+    extension: '.gz',
+    mediaType: 'application/gzip',
+    levels: [1, 9],
+    defaultLevel: 6,
+    create: (level) => zlib.createGzip({ level }),
+  },
+  deflate: {
+    // HTTP's "deflate" is the zlib format (RFC 1950), not raw deflate
+    encoding: 'deflate',
+    extension: '.zz',
+    mediaType: 'application/zlib',
+    levels: [1, 9],
+    defaultLevel: 6,
+    create: (level) => zlib.createDeflate({ level }),
+  },
+  brotli: {
+    encoding: 'br',
+    extension: '.br',
+    mediaType: 'application/x-brotli',
+    levels: [0, 11],
+    defaultLevel: 4,
+    create: (level) => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }),
+  },
+  zstd: {
+    encoding: 'zstd',
+    extension: '.zst',
+    mediaType: 'application/zstd',
+    levels: [1, 19],
+    defaultLevel: 3,
+    create: (level) => new CompressStream({ compressionLevel: level }),
+  },
+};
+
+const VALID_COMPRESSIONS = new Set(Object.keys(CODECS));
+
+// Server preference between codings a client accepts equally
+const NEGOTIATION_ORDER = ['zstd', 'brotli', 'gzip', 'deflate'];
+
+/**
+ * Validates `compression` and `compressionLevel`. Throws with a
+ * client-facing message.
+ * @param {*} compression
+ * @param {*} compressionLevel
+ */
+function validateCompression(compression, compressionLevel) {
+  if (compression && !VALID_COMPRESSIONS.has(compression)) {
+    throw new Error(`Invalid "compression". Supported: ${[...VALID_COMPRESSIONS].join(', ')}.`);
+  }
+  if (compressionLevel === undefined) return;
+  if (!compression) {
+    throw new Error('"compressionLevel" requires "compression".');
+  }
+  const [min, max] = CODECS[compression].levels;
+  if (!Number.isInteger(compressionLevel) || compressionLevel < min || compressionLevel > max) {
+    throw new Error(`"compressionLevel" for ${compression} must be an integer between ${min} and ${max}.`);
+  }
+}
+
+/**
+ * The compression a job pins, with its level resolved.
+ * @param {{compression: string|null, compressionLevel?: number|null}} job
+ * @returns {Compression|null}
+ */
+function jobCompression({ compression, compressionLevel }) {
+  if (!compression) return null;
+  return { codec: compression, level: compressionLevel ?? CODECS[compression].defaultLevel };
+}
+
+/**
+ * Picks the codec for a response from its request's `Accept-Encoding`: the
+ * supported coding with the highest q-value, by server preference on ties.
+ * @param {string|undefined} acceptEncoding
+ * @returns {Compression|null} null when the client accepts none of them
+ */
+function negotiateCompression(acceptEncoding) {
+  if (!acceptEncoding) return null;
+  const weights = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    const weight = q ? Number(q.slice(2)) : 1;
+    if (coding) weights.set(coding === 'x-gzip' ? 'gzip' : coding, Number.isNaN(weight) ? 0 : weight);
+  }
+
+  let best = null;
+  let bestWeight = 0;
+  for (const codec of NEGOTIATION_ORDER) {
+    const { encoding } = CODECS[codec];
+    const weight = weights.has(encoding) ? weights.get(encoding) : weights.get('*') || 0;
+    if (weight > bestWeight) {
+      best = codec;
+      bestWeight = weight;
+    }
+  }
+  return best && { codec: best, level: CODECS[best].defaultLevel, negotiated: true };
+}
+
+/**
+ * Sets `Content-Disposition` and, when compressed, `Content-Encoding`. A
+ * pinned codec's file name carries its extension (`export.csv.zst`).
+ * @param {import('http').ServerResponse} res
+ * @param {string} fileName - uncompressed file name
+ * @param {Compression|null} compression
+ */
+function setAttachmentHeaders(res, fileName, compression) {
+  const extension = compression && !compression.negotiated ? CODECS[compression.codec].extension : '';
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}${extension}"`);
+  if (compression) res.setHeader('Content-Encoding', CODECS[compression.codec].encoding);
+}
+
+/**
+ * A compressing transform stream.
+ * @param {Compression} compression
+ * @returns {import('stream').Transform}
+ */
+function createCompressor({ codec, level }) {
+  return CODECS[codec].create(level);
+}
+
+/**
+ * File extension of a codec's output, e.g. `.gz`.
+ * @param {string|null} codec
+ * @returns {string}
+ */
+function compressionExtension(codec) {
+  return codec ? CODECS[codec].extension : '';
+}
+
+/**
+ * Media type of a file stored with a `Content-Encoding`, for destinations
+ * that store the compressed bytes as they are.
+ * @param {string} encoding
+ * @returns {string|undefined}
+ */
+function encodedMediaType(encoding) {
+  const codec = Object.values(CODECS).find((c) => c.encoding === encoding);
+  return codec && codec.mediaType;
+}
+
+module.exports = {
+  VALID_COMPRESSIONS,
+  validateCompression,
+  jobCompression,
+  negotiateCompression,
+  setAttachmentHeaders,
+  createCompressor,
+  compressionExtension,
+  encodedMediaType,
+};
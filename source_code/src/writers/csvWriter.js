@@ -1,77 +1,319 @@
 'use strict';
 
 const { stringify } = require('csv-stringify');
-const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const { pipeline, Transform } = require('stream');
+const { finished } = require('stream/promises');
+const { waitForDrain } = require('./streams');
+const { setAttachmentHeaders, createCompressor } = require('./compression');
+const { validateFlatten, flattenColumns } = require('./flatten');
+
+// ── Dialect ──────────────────────────────────────────────────────────────────
+
+const DELIMITERS = [',', '\t', '|', ';'];
+const QUOTES = ['"', "'"];
+const QUOTING = new Set(['minimal', 'nonnumeric', 'all']);
+const NUMERIC_TYPES = new Set(['long', 'double', 'decimal']);
+const LINE_TERMINATORS = ['\n', '\r\n'];
+const DATE_FORMATS = new Set(['epoch', 'iso', 'datetime', 'date']);
+const DECIMAL_SEPARATORS = ['.', ','];
+const MAX_NULL_VALUE_LENGTH = 32;
+
+// Output encodings, and whether a byte order mark can be written in them
+const ENCODINGS = {
+  'utf-8': true,
+  'utf-16le': true,
+  'utf-16be': true,
+  'windows-1252': false,
+  'iso-8859-1': false,
+  'iso-8859-15': false,
+};
+
+// Stands in for NULL cells, so the null literal is never quoted like a string
+const NULL_CELL = Object.freeze({});
 
 /**
- * Streams the cursor rows as a CSV file directly to the HTTP response.
- * Memory usage is O(batchSize), not O(totalRows).
- *
- * @param {import('http').ServerResponse} res
- * @param {AsyncGenerator<object[]>}      rowGenerator
- * @param {Array<{source:string, target:string}>} columns
- * @param {boolean} compress - whether to gzip the output
+ * Validates the `csvOptions` of a job. Throws with a client-facing message,
+ * like `buildSelectClause`.
+ * @param {object|undefined} options
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ */
+function validateCsvOptions(options, columns) {
+  if (options === undefined || options === null) return;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"csvOptions" must be an object.');
+  }
+
+  const {
+    flatten,
+    delimiter = ',',
+    quote = '"',
+    quoting,
+    lineTerminator,
+    header,
+    nullValue = '',
+    bom,
+    encoding = 'utf-8',
+    dateFormat,
+    decimalSeparator = '.',
+    ...rest
+  } = options;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "csvOptions" field: ${unknown[0]}`);
+  }
+  validateFlatten(flatten, columns, 'csvOptions.flatten');
+
+  if (!DELIMITERS.includes(delimiter)) {
+    throw new Error(`Invalid "csvOptions.delimiter". Must be one of: ${DELIMITERS.map(JSON.stringify).join(', ')}.`);
+  }
+  if (!QUOTES.includes(quote)) {
+    throw new Error(`Invalid "csvOptions.quote". Must be one of: ${QUOTES.map(JSON.stringify).join(', ')}.`);
+  }
+  if (quoting !== undefined && !QUOTING.has(quoting)) {
+    throw new Error(`Invalid "csvOptions.quoting". Must be one of: ${[...QUOTING].join(', ')}.`);
+  }
+  if (lineTerminator !== undefined && !LINE_TERMINATORS.includes(lineTerminator)) {
+    throw new Error('Invalid "csvOptions.lineTerminator". Must be one of: "\\n", "\\r\\n".');
+  }
+  if (header !== undefined && typeof header !== 'boolean') {
+    throw new Error('"csvOptions.header" must be a boolean.');
+  }
+  if (
+    typeof nullValue !== 'string' ||
+    nullValue.length > MAX_NULL_VALUE_LENGTH ||
+    /[\r\n]/.test(nullValue) ||
+    nullValue.includes(delimiter) ||
+    nullValue.includes(quote)
+  ) {
+    throw new Error(
+      `"csvOptions.nullValue" must be a string of at most ${MAX_NULL_VALUE_LENGTH} characters without line breaks, the delimiter or the quote character.`
+    );
+  }
+  if (!Object.hasOwn(ENCODINGS, encoding)) {
+    throw new Error(`Invalid "csvOptions.encoding". Must be one of: ${Object.keys(ENCODINGS).join(', ')}.`);
+  }
+  if (bom !== undefined && typeof bom !== 'boolean') {
+    throw new Error('"csvOptions.bom" must be a boolean.');
+  }
+  if (bom && !ENCODINGS[encoding]) {
+    throw new Error(`"csvOptions.bom" is only supported for the UTF encodings, not ${encoding}.`);
+  }
+  if (dateFormat !== undefined && !DATE_FORMATS.has(dateFormat)) {
+    throw new Error(`Invalid "csvOptions.dateFormat". Must be one of: ${[...DATE_FORMATS].join(', ')}.`);
+  }
+  if (!DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+    throw new Error('Invalid "csvOptions.decimalSeparator". Must be one of: ".", ",".');
+  }
+  if (decimalSeparator === delimiter) {
+    throw new Error('"csvOptions.decimalSeparator" must differ from the delimiter.');
+  }
+}
+
+/**
+ * Formats a timestamp cell.
+ * @param {Date} value
+ * @param {string} dateFormat
+ * @returns {string}
+ */
+function formatDate(value, dateFormat) {
+  switch (dateFormat) {
+    case 'iso':
+      return value.toISOString();
+    case 'datetime':
+      return value.toISOString().slice(0, 19).replace('T', ' ');
+    case 'date':
+      return value.toISOString().slice(0, 10);
+    default:
+      // csv-stringify's own default: milliseconds since the epoch
+      return String(value.getTime());
+  }
+}
+
+/**
+ * Formats the text of a number with the job's decimal separator.
+ * @param {string} [decimalSeparator]
+ * @returns {(value: string) => string}
+ */
+function numberFormatter(decimalSeparator = '.') {
+  if (decimalSeparator === '.') return (value) => value;
+  return (value) => value.replace('.', decimalSeparator);
+}
+
+/**
+ * csv-stringify options for a job's dialect.
+ * @param {object} options - `csvOptions` plus `continuation`
+ * @param {(value: string) => string} formatNumber
+ * @param {Set<number>} numericCells - indexes of the cells of numeric columns, whose
+ *   BIGINT and NUMERIC values arrive as strings
+ * @returns {object}
  */
-async function writeCsv(res, rowGenerator, columns, compress = false) {
-  // Build header row from target column names
-  const headers = columns.map((c) => c.target);
-
-  // csv-stringify in streaming mode: accepts objects, emits CSV strings
-  const csvStringifier = stringify({
-    header: true,
-    columns: columns.reduce((acc, c) => {
-      acc[c.source] = c.target;
-      return acc;
-    }, {}),
+function stringifyOptions(
+  {
+    continuation,
+    delimiter = ',',
+    quote = '"',
+    quoting = 'minimal',
+    lineTerminator = '\n',
+    header = true,
+    nullValue = '',
+    bom = false,
+    dateFormat = 'epoch',
+  },
+  formatNumber,
+  numericCells
+) {
+  // nonnumeric: every cell but numbers and NULLs is quoted
+  const text = quoting === 'nonnumeric' ? (value) => ({ value, quoted: true, quoted_empty: true }) : (value) => value;
+  return {
+    delimiter,
+    quote,
+    escape: quote,
+    quoted: quoting === 'all',
+    quoted_empty: quoting === 'all',
+    record_delimiter: lineTerminator,
+    // A resumed segment is appended to the rows already received
+    header: header && !continuation,
+    bom: bom && !continuation,
     cast: {
+      string: (value, context) => (context.header || !numericCells.has(context.index) ? text(value) : value),
       // Ensure JSONB metadata is serialised to a JSON string in CSV cells
-      object: (value) => (value !== null ? JSON.stringify(value) : ''),
+      object: (value) =>
+        value === NULL_CELL ? { value: nullValue, quoted: false, quoted_empty: false } : text(JSON.stringify(value)),
+      // csv-stringify writes false as an empty cell, indistinguishable from NULL
+      boolean: (value) => text(String(value)),
+      number: (value) => formatNumber(String(value)),
+      date: (value) => text(formatDate(value, dateFormat)),
     },
-  });
+  };
+}
 
-  // Set response headers
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader(
-    'Content-Disposition',
-    'attachment; filename="export.csv' + (compress ? '.gz"' : '"')
-  );
-  if (compress) res.setHeader('Content-Encoding', 'gzip');
-
-  // Build the pipeline: csvStringifier → [gzip?] → res
-  const outputStream = compress ? zlib.createGzip() : res;
-  if (compress) outputStream.pipe(res);
-
-  csvStringifier.on('error', (err) => {
-    console.error('[csvWriter] stringify error:', err.message);
-    if (!res.writableEnded) res.end();
+/**
+ * Encodes the stringifier's text in a non-UTF-8 encoding. iconv-lite writes
+ * characters an 8-bit encoding lacks as `?`; those fail the export instead, so
+ * the file never silently differs from the data.
+ * @param {string} encoding - a key of ENCODINGS other than utf-8
+ * @returns {import('stream').Transform}
+ */
+function createEncoder(encoding) {
+  // The UTF encodings represent every character
+  if (ENCODINGS[encoding]) return iconv.encodeStream(encoding);
+  return new Transform({
+    decodeStrings: false,
+    transform(chunk, _enc, callback) {
+      const bytes = iconv.encode(chunk, encoding);
+      // 8-bit encodings map each UTF-16 code unit to one byte, so indexes line up
+      const decoded = iconv.decode(bytes, encoding);
+      if (decoded === chunk) return callback(null, bytes);
+      let i = 0;
+      while (decoded[i] === chunk[i]) i++;
+      const char = String.fromCodePoint(chunk.codePointAt(i));
+      callback(new Error(`"csvOptions.encoding" ${encoding} cannot represent the character "${char}" in the export.`));
+    },
   });
+}
 
-  // Pipe CSV → gzip → res
-  if (compress) {
-    csvStringifier.pipe(outputStream);
-  } else {
-    csvStringifier.pipe(res);
-  }
+/**
+ * Streams the cursor rows as a CSV file directly to the HTTP response.
+ * Memory usage is O(batchSize), not O(totalRows).
+ *
+ * JSON columns are written as one JSON-string cell, unless `flatten` expands
+ * them into a cell per leaf (see flatten.js). Undeclared leaves are discovered
+ * from the first batch, so the header is written once that batch has arrived.
+ *
+ * Dialect options (delimiter, quoting, null literal, encoding...) are
+ * documented in API_DOCS. Output in another encoding than UTF-8 passes
+ * through an iconv-lite encoder before compression; a character the encoding
+ * cannot represent fails the export.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>}      rowGenerator
+ * @param {import('../columns').Column[]} columns
+ * @param {import('./compression').Compression|null} compression
+ * @param {object}  [options] - the job's `csvOptions`, plus:
+ * @param {boolean} [options.continuation] - resumed segment: omit the header row and BOM
+ * @param {true|{separator?: string, fields?: object}} [options.flatten] - expand JSON columns
+ */
+async function writeCsv(res, rowGenerator, columns, compression = null, options = {}) {
+  const encoding = options.encoding || 'utf-8';
+  // Set response headers
+  res.setHeader('Content-Type', options.encoding ? `text/csv; charset=${encoding}` : 'text/csv');
+  setAttachmentHeaders(res, 'export.csv', compression);
 
+  let csvStringifier;
+  let encoder;
   try {
-    for await (const batch of rowGenerator) {
+    let sample = [];
+    let cells;
+    if (options.flatten) {
+      const first = await rowGenerator.next();
+      sample = first.done ? [] : first.value;
+      cells = flattenColumns(columns, sample, options.flatten);
+    } else {
+      cells = columns.map((c) => ({ header: c.target, type: c.type, get: (row) => row[c.key] }));
+    }
+
+    const formatNumber = numberFormatter(options.decimalSeparator);
+    // NUMERIC values arrive as strings; other numbers go through cast.number
+    const getters = cells.map(({ type, get }) =>
+      type === 'decimal'
+        ? (row) => {
+            const value = get(row);
+            return value === null || value === undefined ? NULL_CELL : formatNumber(String(value));
+          }
+        : (row) => {
+            const value = get(row);
+            return value === null || value === undefined ? NULL_CELL : value;
+          }
+    );
+
+    // csv-stringify in streaming mode: accepts one array per row, emits CSV strings
+    const numericCells = new Set(cells.flatMap((c, i) => (NUMERIC_TYPES.has(c.type) ? [i] : [])));
+    csvStringifier = stringify({
+      ...stringifyOptions(options, formatNumber, numericCells),
+      columns: cells.map((c) => c.header),
+    });
+
+    // Build the pipeline: csvStringifier → [encoder?] → [compressor?] → res
+    // pipeline() tears every stage down if res closes early, so a blocked
+    // write below is released instead of waiting for a drain that never comes
+    const stages = [csvStringifier];
+    if (encoding !== 'utf-8') {
+      // iconv-lite encodes strings, not the stringifier's UTF-8 chunks
+      csvStringifier.setEncoding('utf8');
+      encoder = createEncoder(encoding);
+      stages.push(encoder);
+    }
+    if (compression) stages.push(createCompressor(compression));
+    pipeline(...stages, res, (err) => {
+      if (err) console.error('[csvWriter] pipeline error:', err.message);
+    });
+
+    const writeBatch = async (batch) => {
       for (const row of batch) {
-        // Map source key → object to pass to csv-stringify
-        const mapped = {};
-        for (const col of columns) {
-          mapped[col.source] = row[col.source];
-        }
         // Write returns false when the buffer is full; await drain
-        const ok = csvStringifier.write(mapped);
-        if (!ok) await new Promise((resolve) => csvStringifier.once('drain', resolve));
+        const ok = csvStringifier.write(getters.map((get) => get(row)));
+        if (!ok) await waitForDrain(csvStringifier);
       }
+    };
+
+    await writeBatch(sample);
+    for await (const batch of rowGenerator) {
+      await writeBatch(batch);
     }
     csvStringifier.end();
+    // Resolve only once every byte (including the compressor's trailer) has reached res
+    await finished(res, { readable: false });
   } catch (err) {
-    console.error('[csvWriter] stream error:', err.message);
-    csvStringifier.destroy(err);
+    // An unencodable character tears the pipeline down; report it, not the closed stream
+    const cause = (encoder && encoder.errored) || err;
+    console.error('[csvWriter] stream error:', cause.message);
+    if (csvStringifier) csvStringifier.destroy(cause);
+    // The sample batch is read outside the for-await loop, which would close it
+    rowGenerator.return().catch(() => {});
     if (!res.writableEnded) res.end();
+    throw cause;
   }
 }
 
-module.exports = { writeCsv };
+module.exports = { writeCsv, validateCsvOptions };
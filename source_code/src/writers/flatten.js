@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Expands JSON columns (e.g. `metadata`) into one output column per leaf, for
+ * tabular formats whose cells cannot hold nested documents:
+ *
+ *   metadata = { "region": "eu", "address": { "city": "Oslo" }, "tags": ["a", "b"] }
+ *   → metadata_region, metadata_address_city, metadata_tags_0, metadata_tags_1
+ *
+ * The leaf columns are either declared per column target or discovered from a
+ * sample of rows, and are fixed from then on, so every row has the same cells
+ * in the same order: leaves missing from a row are empty and leaves first seen
+ * after the sample are not exported.
+ */
+
+const VALID_SEPARATORS = new Set(['_', '.']);
+const DEFAULT_SEPARATOR = '_';
+const MAX_FLATTENED_COLUMNS = 1000;
+const MAX_PATH_DEPTH = 8;
+
+/**
+ * Validates a `flatten` option. Throws with a client-facing message.
+ * @param {*} flatten - `true` or `{ separator?, fields? }`
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ * @param {string} name - option name for error messages, e.g. "csvOptions.flatten"
+ */
+function validateFlatten(flatten, columns, name) {
+  if (flatten === undefined || flatten === false || flatten === true) return;
+  if (!flatten || typeof flatten !== 'object' || Array.isArray(flatten)) {
+    throw new Error(`"${name}" must be a boolean or an object.`);
+  }
+
+  const { separator, fields, ...rest } = flatten;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "${name}" field: ${unknown[0]}`);
+  }
+  if (separator !== undefined && !VALID_SEPARATORS.has(separator)) {
+    throw new Error(`Invalid "${name}.separator". Must be one of: ${[...VALID_SEPARATORS].join(' ')}.`);
+  }
+  if (fields === undefined) return;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`"${name}.fields" must map column targets to arrays of paths.`);
+  }
+
+  const jsonTargets = new Set(columns.filter((col) => col.type === 'json').map((col) => col.target));
+  let total = 0;
+  for (const [target, paths] of Object.entries(fields)) {
+    if (!jsonTargets.has(target)) {
+      throw new Error(`"${name}.fields.${target}" does not name a JSON column.`);
+    }
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error(`"${name}.fields.${target}" must be a non-empty array of paths.`);
+    }
+    for (const path of paths) {
+      if (typeof path !== 'string' || path.split('.').some((seg) => seg === '')) {
+        throw new Error(`Invalid path in "${name}.fields.${target}": ${JSON.stringify(path)}`);
+      }
+      if (path.split('.').length > MAX_PATH_DEPTH) {
+        throw new Error(
+          `Path "${path}" in "${name}.fields.${target}" is nested more than ${MAX_PATH_DEPTH} levels deep.`
+        );
+      }
+    }
+    total += paths.length;
+  }
+  if (total > MAX_FLATTENED_COLUMNS) {
+    throw new Error(`"${name}.fields" declares more than ${MAX_FLATTENED_COLUMNS} columns.`);
+  }
+}
+
+/**
+ * Collects the leaf paths of a JSON value in document order. Array items are
+ * addressed by index; empty objects and arrays add no leaf.
+ * @param {*} value
+ * @param {string[]} prefix
+ * @param {Map<string, string[]>} leaves - path (joined) → segments
+ */
+function collectLeaves(value, prefix, leaves) {
+  if (value === null || value === undefined) return;
+  if (typeof value !== 'object' || prefix.length === MAX_PATH_DEPTH) {
+    leaves.set(prefix.join('\u0000'), prefix);
+    return;
+  }
+  const entries = Array.isArray(value) ? value.map((item, i) => [String(i), item]) : Object.entries(value);
+  for (const [key, child] of entries) {
+    collectLeaves(child, [...prefix, key], leaves);
+  }
+}
+
+/**
+ * Reads the value at a path: objects by key, arrays by index. Nested values
+ * found at a leaf are returned as JSON text.
+ * @param {*} value
+ * @param {string[]} path
+ * @returns {*}
+ */
+function getAtPath(value, path) {
+  let current = value;
+  for (const seg of path) {
+    if (current === null || typeof current !== 'object') return null;
+    current = current[seg];
+  }
+  if (current === undefined) return null;
+  return current !== null && typeof current === 'object' ? JSON.stringify(current) : current;
+}
+
+/**
+ * Expands the job columns into the output cells of a flattened table.
+ * Non-JSON columns map to one cell each. A JSON column maps to one cell per
+ * declared or sampled leaf, named `<target><sep><path…>`; a column that held
+ * only scalars or nulls in the sample stays a single cell.
+ *
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ * @param {object[]} sample - first batch of rows
+ * @param {true|{separator?: string, fields?: object}} flatten
+ * @returns {Array<{header: string, type?: string, get: (row: object) => *}>}
+ */
+function flattenColumns(columns, sample, flatten) {
+  const { separator = DEFAULT_SEPARATOR, fields = {} } = flatten === true ? {} : flatten;
+  const cells = [];
+
+  for (const col of columns) {
+    if (col.type !== 'json') {
+      cells.push({ header: col.target, type: col.type, get: (row) => row[col.key] });
+      continue;
+    }
+
+    let paths;
+    if (fields[col.target]) {
+      paths = fields[col.target].map((path) => path.split('.'));
+    } else {
+      const leaves = new Map();
+      for (const row of sample) collectLeaves(row[col.key], [], leaves);
+      paths = [...leaves.values()];
+    }
+    if (paths.length === 0) paths = [[]];
+
+    for (const path of paths) {
+      cells.push({
+        header: [col.target, ...path].join(separator),
+        get: (row) => getAtPath(row[col.key], path),
+      });
+    }
+  }
+
+  if (cells.length > MAX_FLATTENED_COLUMNS) {
+    throw new Error(`Flattening produced more than ${MAX_FLATTENED_COLUMNS} columns; declare the fields to export.`);
+  }
+  return cells;
+}
+
+/**
+ * Whether a flatten option fixes every JSON column's cells up front, so the
+ * header does not depend on the rows that happen to come first.
+ * @param {*} flatten
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ * @returns {boolean}
+ */
+function isFlattenDeclared(flatten, columns) {
+  const fields = (flatten && flatten.fields) || {};
+  return columns.every((col) => col.type !== 'json' || Boolean(fields[col.target]));
+}
+
+module.exports = { validateFlatten, flattenColumns, isFlattenDeclared };
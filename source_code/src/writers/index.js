@@ -0,0 +1,71 @@
+'use strict';
+
+const { writeCsv } = require('./csvWriter');
+const { writeJson } = require('./jsonWriter');
+const { writeNdjson } = require('./ndjsonWriter');
+const { writeXml } = require('./xmlWriter');
+const { writeParquet } = require('./parquetWriter');
+const { writeAvro } = require('./avroWriter');
+const { writeXlsx } = require('./xlsxWriter');
+const { writeParts } = require('./parts');
+const { writeBundle } = require('./bundle');
+const { jobCompression } = require('./compression');
+const { resolveColumns } = require('../columns');
+
+/**
+ * Writer factory: dispatches a job's rows to the writer for its format.
+ * `res` may be an HTTP response or any writable carrying a `setHeader` method
+ * (see artifacts.createFileResponse).
+ *
+ * The job's column mapping is resolved against its dataset (see columns.js) so
+ * every writer reads each value from its row `key` and types it by the
+ * column's output `type`.
+ *
+ * A job with an `archive` (set by `maxRowsPerFile` / `maxBytesPerFile`) is
+ * written as part files of its format bundled into one archive (see parts.js).
+ * A job with `formats` is written in each of them, from one pass over the
+ * rows, into one ZIP archive (see bundle.js).
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>}      rowGenerator
+ * @param {{format: string, columns: Array<object>, compression: string|null, compressionLevel?: number|null, csvOptions?: object|null, xmlOptions?: object|null, avroOptions?: object|null, parquetOptions?: object|null, archive?: string|null, formats?: string[]|null}} job
+ * @param {object}  options
+ * @param {import('../datasets').Dataset} options.dataset - the job's dataset
+ * @param {boolean} [options.continuation] - resumed segment of a live download;
+ *   text writers skip their header (not supported by Parquet, Avro, XLSX or
+ *   split exports)
+ * @param {import('./compression').Compression|null} [options.negotiated] - codec
+ *   negotiated from Accept-Encoding, for a text format whose job pins none
+ */
+async function writeExport(res, rowGenerator, job, { dataset, negotiated = null, ...options }) {
+  const { format, columns: mapping, csvOptions, xmlOptions, avroOptions, parquetOptions } = job;
+  const compression = jobCompression(job) || negotiated;
+  const columns = resolveColumns(mapping, dataset);
+
+  const writeFormat = (out, rows, outputFormat = format) => {
+    switch (outputFormat) {
+      case 'csv':
+        return writeCsv(out, rows, columns, compression, { ...options, ...csvOptions });
+      case 'json':
+        return writeJson(out, rows, columns, compression, options);
+      case 'ndjson':
+        return writeNdjson(out, rows, columns, compression);
+      case 'xml':
+        return writeXml(out, rows, columns, compression, { ...options, ...xmlOptions });
+      case 'parquet':
+        return writeParquet(out, rows, columns, parquetOptions, dataset);
+      case 'avro':
+        return writeAvro(out, rows, columns, avroOptions);
+      case 'xlsx':
+        return writeXlsx(out, rows, columns);
+      default:
+        throw new Error(`Unknown format: ${outputFormat}`);
+    }
+  };
+
+  if (job.formats) return writeBundle(res, rowGenerator, job, writeFormat);
+  if (job.archive) return writeParts(res, rowGenerator, job, writeFormat);
+  return writeFormat(res, rowGenerator);
+}
+
+module.exports = { writeExport };
@@ -1,6 +1,24 @@
 'use strict';
 
-const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const { waitForDrain } = require('./streams');
+const { setAttachmentHeaders, createCompressor } = require('./compression');
+
+/**
+ * Builds the target-keyed object for one row, e.g. {ID: 1, Name: 'x'}.
+ * Shared with the NDJSON writer so both formats map columns identically.
+ * @param {object} row
+ * @param {import('../columns').Column[]} columns
+ * @returns {object}
+ */
+function toTargetObject(row, columns) {
+  const out = {};
+  for (const col of columns) {
+    out[col.target] = row[col.key];
+  }
+  return out;
+}
 
 /**
  * Streams rows as a single JSON array: [{...}, {...}, ...]
@@ -9,19 +27,23 @@ const zlib = require('zlib');
  *
  * @param {import('http').ServerResponse} res
  * @param {AsyncGenerator<object[]>}      rowGenerator
- * @param {Array<{source:string, target:string}>} columns
- * @param {boolean} compress
+ * @param {import('../columns').Column[]} columns
+ * @param {import('./compression').Compression|null} compression
+ * @param {object}  [options]
+ * @param {boolean} [options.continuation] - resumed segment: no opening bracket;
+ *   every object (including the first) is preceded by a comma, so the segment
+ *   appends directly after the last complete object already received
  */
-async function writeJson(res, rowGenerator, columns, compress = false) {
+async function writeJson(res, rowGenerator, columns, compression = null, options = {}) {
   res.setHeader('Content-Type', 'application/json');
-  res.setHeader(
-    'Content-Disposition',
-    'attachment; filename="export.json' + (compress ? '.gz"' : '"')
-  );
-  if (compress) res.setHeader('Content-Encoding', 'gzip');
+  setAttachmentHeaders(res, 'export.json', compression);
 
-  const sink = compress ? zlib.createGzip() : res;
-  if (compress) sink.pipe(res);
+  const sink = compression ? createCompressor(compression) : res;
+  if (compression) {
+    pipeline(sink, res, (err) => {
+      if (err) console.error('[jsonWriter] pipeline error:', err.message);
+    });
+  }
 
   /**
    * Write a chunk to the sink, honouring back-pressure.
@@ -30,24 +52,18 @@ async function writeJson(res, rowGenerator, columns, compress = false) {
   const write = (chunk) => {
     const buf = Buffer.from(chunk, 'utf8');
     const ok = sink.write(buf);
-    if (!ok) return new Promise((resolve) => sink.once('drain', resolve));
+    if (!ok) return waitForDrain(sink);
     return Promise.resolve();
   };
 
-  let isFirst = true;
+  let isFirst = !options.continuation;
 
   try {
-    await write('[');
+    if (!options.continuation) await write('[');
 
     for await (const batch of rowGenerator) {
       for (const row of batch) {
-        // Build target-keyed object
-        const out = {};
-        for (const col of columns) {
-          out[col.target] = row[col.source];
-        }
-
-        const json = JSON.stringify(out);
+        const json = JSON.stringify(toTargetObject(row, columns));
         if (isFirst) {
           await write('\n' + json);
           isFirst = false;
@@ -59,11 +75,14 @@ async function writeJson(res, rowGenerator, columns, compress = false) {
 
     await write('\n]');
     sink.end();
+    // Don't report success until the sink has flushed into res
+    await finished(res, { readable: false });
   } catch (err) {
     console.error('[jsonWriter] stream error:', err.message);
     sink.destroy(err);
     if (!res.writableEnded) res.end();
+    throw err;
   }
 }
 
-module.exports = { writeJson };
+module.exports = { writeJson, toTargetObject };
@@ -0,0 +1,53 @@
+'use strict';
+
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const { waitForDrain } = require('./streams');
+const { setAttachmentHeaders, createCompressor } = require('./compression');
+const { toTargetObject } = require('./jsonWriter');
+
+/**
+ * Streams rows as newline-delimited JSON (JSON Lines): one target-keyed
+ * object per line, no enclosing array, so consumers (jq, Spark, BigQuery
+ * loaders) can split and process the output line by line.
+ * Each batch is serialised into a single chunk; memory usage is O(batchSize).
+ *
+ * Because every line stands alone, a resumed segment (`?after_id=`) needs no
+ * special handling.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>}      rowGenerator
+ * @param {import('../columns').Column[]} columns
+ * @param {import('./compression').Compression|null} compression
+ */
+async function writeNdjson(res, rowGenerator, columns, compression = null) {
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  setAttachmentHeaders(res, 'export.ndjson', compression);
+
+  const sink = compression ? createCompressor(compression) : res;
+  if (compression) {
+    pipeline(sink, res, (err) => {
+      if (err) console.error('[ndjsonWriter] pipeline error:', err.message);
+    });
+  }
+
+  try {
+    for await (const batch of rowGenerator) {
+      let chunk = '';
+      for (const row of batch) {
+        chunk += JSON.stringify(toTargetObject(row, columns)) + '\n';
+      }
+      if (!sink.write(chunk, 'utf8')) await waitForDrain(sink);
+    }
+
+    sink.end();
+    await finished(res, { readable: false });
+  } catch (err) {
+    console.error('[ndjsonWriter] stream error:', err.message);
+    sink.destroy(err);
+    if (!res.writableEnded) res.end();
+    throw err;
+  }
+}
+
+module.exports = { writeNdjson };
@@ -1,95 +1,389 @@
 'use strict';
 
 const parquet = require('@dsnp/parquetjs');
+const { PARQUET_COMPRESSION_METHODS } = require('@dsnp/parquetjs/dist/lib/compression');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const {
+  decimalFormat,
+  decimalByteLength,
+  toUnscaledDecimal,
+  toDecimalBytes,
+  inferShape,
+  shapeFromDeclaration,
+  coerceToShape,
+} = require('./schema');
 
-// Parquet requires a seekable write target (random access), so we buffer to
-// a temp file then stream the completed file to the HTTP response.
+// Unless a job asks for streaming, the file is buffered here and the
+// completed file is then streamed to the HTTP response.
 const TMP_DIR = process.env.PARQUET_TMP_DIR || '/tmp/parquet-export';
 
+const VALID_VALUE_TYPES = new Set(['double', 'decimal']);
+const VALID_METADATA_TYPES = new Set(['string', 'group']);
+
+// The codecs this parquetjs build can write (zstd is not among them yet)
+const VALID_CODECS = new Set(Object.keys(PARQUET_COMPRESSION_METHODS).map((name) => name.toLowerCase()));
+const DEFAULT_CODEC = 'snappy';
+
+// Both sizes count rows: a row group is buffered in memory until it is full,
+// and a page is cut once it holds `pageSize` rows
+const DEFAULT_ROW_GROUP_SIZE = 4096;
+const MAX_ROW_GROUP_SIZE = 1_000_000;
+const DEFAULT_PAGE_SIZE = 8192;
+const MIN_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1_000_000;
+
+/**
+ * The dataset's JSONB column a declared `metadataSchema` describes: the one
+ * named by `metadataColumn`, or else the dataset's only `json` column. Throws
+ * with a client-facing message when there is no such column.
+ * @param {{metadataColumn?: string}} options
+ * @param {import('../datasets').Dataset} dataset
+ * @returns {string}
+ */
+function metadataDocumentColumn({ metadataColumn }, dataset) {
+  const jsonColumns = [...dataset.columns].filter(([, col]) => col.type === 'json').map(([name]) => name);
+  if (metadataColumn !== undefined) {
+    if (!jsonColumns.includes(metadataColumn)) {
+      throw new Error(
+        `"parquetOptions.metadataColumn" must name a json column of dataset "${dataset.name}"` +
+          (jsonColumns.length ? `: ${jsonColumns.join(', ')}.` : ', which has none.')
+      );
+    }
+    return metadataColumn;
+  }
+  if (jsonColumns.length === 0) {
+    throw new Error(`"parquetOptions.metadataSchema" describes a json column, and dataset "${dataset.name}" has none.`);
+  }
+  if (jsonColumns.length > 1) {
+    throw new Error(
+      `Dataset "${dataset.name}" has several json columns (${jsonColumns.join(', ')}); name the one ` +
+        '"parquetOptions.metadataSchema" describes in "parquetOptions.metadataColumn".'
+    );
+  }
+  return jsonColumns[0];
+}
+
+/**
+ * Whether a column exports the whole document of the given JSONB column, the
+ * one column a declared `metadataSchema` applies to (a path below it is a
+ * different shape).
+ * @param {import('../columns').Column} col
+ * @param {string} name - see metadataDocumentColumn
+ * @returns {boolean}
+ */
+function isMetadataDocument(col, name) {
+  return col.source === name && col.type === 'json';
+}
+
+/**
+ * Validates the `parquetOptions` of a job. Throws with a client-facing
+ * message, like `buildSelectClause`.
+ * @param {object|undefined} options
+ * @param {import('../columns').Column[]} columns - the job's resolved columns
+ * @param {import('../datasets').Dataset} dataset
+ */
+function validateParquetOptions(options, columns, dataset) {
+  if (options === undefined || options === null) return;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"parquetOptions" must be an object.');
+  }
+
+  const { valueType, metadataType, metadataSchema, metadataColumn, codec, rowGroupSize, pageSize, streaming, ...rest } =
+    options;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "parquetOptions" field: ${unknown[0]}`);
+  }
+  if (codec !== undefined && !VALID_CODECS.has(codec)) {
+    throw new Error(`Invalid "parquetOptions.codec". Must be one of: ${[...VALID_CODECS].join(', ')}.`);
+  }
+  if (
+    rowGroupSize !== undefined &&
+    (!Number.isInteger(rowGroupSize) || rowGroupSize < 1 || rowGroupSize > MAX_ROW_GROUP_SIZE)
+  ) {
+    throw new Error(`"parquetOptions.rowGroupSize" must be an integer between 1 and ${MAX_ROW_GROUP_SIZE}.`);
+  }
+  if (
+    pageSize !== undefined &&
+    (!Number.isInteger(pageSize) || pageSize < MIN_PAGE_SIZE || pageSize > MAX_PAGE_SIZE)
+  ) {
+    throw new Error(`"parquetOptions.pageSize" must be an integer between ${MIN_PAGE_SIZE} and ${MAX_PAGE_SIZE}.`);
+  }
+  if (streaming !== undefined && typeof streaming !== 'boolean') {
+    throw new Error('"parquetOptions.streaming" must be a boolean.');
+  }
+  if (valueType !== undefined && !VALID_VALUE_TYPES.has(valueType)) {
+    throw new Error('Invalid "parquetOptions.valueType". Must be one of: double, decimal.');
+  }
+  if (metadataType !== undefined && !VALID_METADATA_TYPES.has(metadataType)) {
+    throw new Error('Invalid "parquetOptions.metadataType". Must be one of: string, group.');
+  }
+  if (metadataSchema !== undefined) {
+    if (metadataType !== 'group') {
+      throw new Error('"parquetOptions.metadataSchema" requires metadataType "group".');
+    }
+    if (shapeFromDeclaration(metadataSchema, 'metadataSchema').kind !== 'record') {
+      throw new Error('"parquetOptions.metadataSchema" must be an object.');
+    }
+    const name = metadataDocumentColumn(options, dataset);
+    if (!columns.some((col) => isMetadataDocument(col, name))) {
+      throw new Error(
+        `"parquetOptions.metadataSchema" describes the "${name}" JSON column, which the export does not include.`
+      );
+    }
+  } else if (metadataColumn !== undefined) {
+    throw new Error('"parquetOptions.metadataColumn" requires "parquetOptions.metadataSchema".');
+  }
+}
+
+/**
+ * parquetjs cannot write lists of lists or empty groups, so those parts of a
+ * shape fall back to their JSON text.
+ * @param {object|null} shape
+ * @returns {object|null}
+ */
+function toWritableShape(shape) {
+  if (!shape) return shape;
+  if (shape.kind === 'array') {
+    if (shape.items && shape.items.kind === 'array') return { kind: 'string' };
+    return { kind: 'array', items: toWritableShape(shape.items) };
+  }
+  if (shape.kind === 'record') {
+    if (shape.fields.size === 0) return { kind: 'string' };
+    const fields = new Map();
+    for (const [key, child] of shape.fields) fields.set(key, toWritableShape(child));
+    return { kind: 'record', fields };
+  }
+  return shape;
+}
+
 /**
- * Maps a DB column source name to a parquetjs field type.
- * @param {string} source
+ * Converts a shape to a parquetjs field definition: records become optional
+ * groups, arrays repeated fields (Parquet's legacy list encoding, which
+ * DuckDB and Spark read as lists) and scalars optional primitives.
+ * @param {object|null} shape
  * @returns {object}
  */
-function getParquetFieldType(source) {
-  switch (source) {
-    case 'id':
-      return { type: 'INT64' };
-    case 'value':
-      return { type: 'DOUBLE' };
-    case 'created_at':
-      return { type: 'TIMESTAMP_MILLIS' };
-    case 'metadata':
-      // Store JSON as a UTF8 string in Parquet – broadest compatibility
-      return { type: 'UTF8' };
+function shapeToParquet(shape) {
+  switch (shape ? shape.kind : 'string') {
+    case 'array': {
+      const item = shapeToParquet(shape.items);
+      delete item.optional;
+      return { ...item, repeated: true };
+    }
+    case 'record': {
+      const fields = {};
+      for (const [key, child] of shape.fields) fields[key] = shapeToParquet(child);
+      return { optional: true, fields };
+    }
+    case 'double':
+      return { type: 'DOUBLE', optional: true };
+    case 'long':
+      return { type: 'INT64', optional: true };
+    case 'boolean':
+      return { type: 'BOOLEAN', optional: true };
     default:
-      return { type: 'UTF8' };
+      return { type: 'UTF8', optional: true };
+  }
+}
+
+/**
+ * Repeated fields cannot hold nulls, so they are dropped from lists once a
+ * document has been coerced to its shape.
+ * @param {object|null} shape
+ * @param {*} value
+ * @returns {*}
+ */
+function dropNullItems(shape, value) {
+  if (value === null || !shape) return value;
+  if (shape.kind === 'array') {
+    return value.filter((item) => item !== null).map((item) => dropNullItems(shape.items, item));
+  }
+  if (shape.kind === 'record') {
+    const record = {};
+    for (const [key, child] of shape.fields) record[key] = dropNullItems(child, value[key]);
+    return record;
   }
+  return value;
 }
 
 /**
- * Builds a parquetjs schema from the requested columns.
- * @param {Array<{source:string, target:string}>} columns
- * @returns {parquet.ParquetSchema}
+ * Sets the compression codec on every leaf of a field definition; parquetjs
+ * compresses per column chunk and does not pass a group's codec down.
+ * @param {object} field
+ * @param {string} codec - parquetjs name, e.g. SNAPPY
+ * @returns {object}
  */
-function buildSchema(columns) {
+function withCompression(field, codec) {
+  if (!field.fields) return { ...field, compression: codec };
   const fields = {};
-  for (const col of columns) {
-    fields[col.target] = getParquetFieldType(col.source);
+  for (const [key, child] of Object.entries(field.fields)) fields[key] = withCompression(child, codec);
+  return { ...field, fields };
+}
+
+/**
+ * Maps a column's output type to a parquetjs field type, plus the conversion
+ * from the pg value. Computed columns can be NULL, so their fields are
+ * optional.
+ * @param {import('../columns').Column} col
+ * @param {{valueType?: string, metadataType?: string, metadataSchema?: object, documentColumn?: string}} options
+ * @param {object[]} sample - first batch of rows, used to infer a nested metadata group
+ * @returns {{field: object, convert: (val: *) => *}}
+ */
+function getParquetFieldType(col, options, sample) {
+  const { field, convert } = getParquetType(col, options, sample);
+  if (!col.nullable) return { field, convert };
+  return { field: { ...field, optional: true }, convert: (val) => (val === null ? null : convert(val)) };
+}
+
+/**
+ * The field type of a column as if it could not be NULL.
+ * @param {import('../columns').Column} col
+ * @param {{valueType?: string, metadataType?: string, metadataSchema?: object, documentColumn?: string}} options
+ * @param {object[]} sample
+ * @returns {{field: object, convert: (val: *) => *}}
+ */
+function getParquetType(col, options, sample) {
+  switch (col.type) {
+    case 'long':
+      return { field: { type: 'INT64' }, convert: (val) => BigInt(val) };
+    case 'double':
+      return { field: { type: 'DOUBLE' }, convert: (val) => Number(val) };
+    case 'decimal':
+      if (options.valueType === 'decimal') {
+        // parquetjs scales INT64-backed decimals with float arithmetic, which
+        // loses digits; a fixed-length big-endian unscaled value is exact
+        const format = decimalFormat(col);
+        const typeLength = decimalByteLength(format.precision);
+        return {
+          field: { type: 'DECIMAL', ...format, typeLength },
+          convert: (val) => toDecimalBytes(toUnscaledDecimal(val, format), typeLength),
+        };
+      }
+      return { field: { type: 'DOUBLE' }, convert: (val) => parseFloat(val) };
+    case 'timestamp':
+      return {
+        field: { type: 'TIMESTAMP_MILLIS' },
+        convert: (val) => (val instanceof Date ? val : new Date(val)),
+      };
+    case 'boolean':
+      return { field: { type: 'BOOLEAN' }, convert: (val) => val };
+    case 'json':
+      if (options.metadataType === 'group') {
+        // A declared schema describes the whole document of one JSONB column
+        const shape = toWritableShape(
+          options.metadataSchema && isMetadataDocument(col, options.documentColumn)
+            ? shapeFromDeclaration(options.metadataSchema, 'metadataSchema')
+            : inferShape(sample, col.key)
+        );
+        if (shape && shape.kind === 'record') {
+          return {
+            field: shapeToParquet(shape),
+            convert: (val) => dropNullItems(shape, coerceToShape(shape, val)),
+          };
+        }
+      }
+      // Store JSON as a UTF8 string in Parquet – broadest compatibility
+      return {
+        field: { type: 'UTF8' },
+        convert: (val) => (typeof val === 'string' ? val : JSON.stringify(val)),
+      };
+    default:
+      return { field: { type: 'UTF8' }, convert: (val) => val };
   }
-  return new parquet.ParquetSchema(fields);
 }
 
 /**
  * Streams rows as a valid Apache Parquet file.
- * Because Parquet requires seekable output, we write to a temp file first,
- * then pipe the completed file to the HTTP response.
+ *
+ * Rows are buffered into row groups of `rowGroupSize` rows, each column chunk
+ * compressed with the job's codec. By default the file is written to a temp
+ * file under PARQUET_TMP_DIR and piped to the response once complete. With
+ * `streaming`, every row group is written to the response as soon as it is
+ * full and the footer (which records where each group starts) comes last, so
+ * no temp file is needed and the client receives bytes right away.
+ *
+ * The schema is built once the first batch has arrived, so a nested
+ * `metadata` group can be inferred from it when no explicit schema is given.
+ * An explicit `metadataSchema` applies to the dataset column resolved by
+ * metadataDocumentColumn.
  *
  * @param {import('http').ServerResponse} res
  * @param {AsyncGenerator<object[]>}      rowGenerator
- * @param {Array<{source:string, target:string}>} columns
+ * @param {import('../columns').Column[]} columns
+ * @param {object} [parquetOptions]
+ * @param {string} [parquetOptions.valueType]      - double | decimal (default double)
+ * @param {string} [parquetOptions.metadataType]   - string | group (default string)
+ * @param {object} [parquetOptions.metadataSchema] - declared group layout, see schema.js
+ * @param {string} [parquetOptions.metadataColumn] - the json column it describes (default: the only one)
+ * @param {string} [parquetOptions.codec]          - uncompressed | snappy | gzip | brotli (default snappy)
+ * @param {number} [parquetOptions.rowGroupSize]   - rows per row group (default 4096)
+ * @param {number} [parquetOptions.pageSize]       - rows per data page (default 8192)
+ * @param {boolean} [parquetOptions.streaming]     - write row groups straight to `res` (default false)
+ * @param {import('../datasets').Dataset} dataset
  */
-async function writeParquet(res, rowGenerator, columns) {
-  // Parquet is already compressed (Snappy by default), so no gzip wrapper
+async function writeParquet(res, rowGenerator, columns, parquetOptions, dataset) {
+  const options = {
+    codec: DEFAULT_CODEC,
+    rowGroupSize: DEFAULT_ROW_GROUP_SIZE,
+    pageSize: DEFAULT_PAGE_SIZE,
+    streaming: false,
+    ...parquetOptions,
+  };
+  if (options.metadataSchema) options.documentColumn = metadataDocumentColumn(options, dataset);
+
+  // Parquet compresses its own column chunks, so no gzip wrapper
   res.setHeader('Content-Type', 'application/vnd.apache.parquet');
   res.setHeader('Content-Disposition', 'attachment; filename="export.parquet"');
 
-  const tmpFile = path.join(TMP_DIR, `export-${uuidv4()}.parquet`);
+  const tmpFile = options.streaming ? null : path.join(TMP_DIR, `export-${uuidv4()}.parquet`);
 
   try {
-    // Ensure temp directory exists
-    fs.mkdirSync(TMP_DIR, { recursive: true });
+    const first = await rowGenerator.next();
+    const sample = first.done ? [] : first.value;
 
-    const schema = buildSchema(columns);
-    const writer = await parquet.ParquetWriter.openFile(schema, tmpFile, {
+    const codec = options.codec.toUpperCase();
+    const fields = columns.map((col) => ({ col, ...getParquetFieldType(col, options, sample) }));
+    const schema = new parquet.ParquetSchema(
+      Object.fromEntries(fields.map(({ col, field }) => [col.target, withCompression(field, codec)]))
+    );
+    const writerOptions = {
+      rowGroupSize: options.rowGroupSize,
+      pageSize: options.pageSize,
       useDataPageV2: false, // broader reader compatibility
-    });
+    };
 
-    for await (const batch of rowGenerator) {
+    let writer;
+    if (tmpFile) {
+      // Ensure temp directory exists
+      fs.mkdirSync(TMP_DIR, { recursive: true });
+      writer = await parquet.ParquetWriter.openFile(schema, tmpFile, writerOptions);
+    } else {
+      // Each write waits for `res` to accept the bytes, which applies back-pressure
+      writer = await parquet.ParquetWriter.openStream(schema, res, writerOptions);
+    }
+
+    const appendBatch = async (batch) => {
       for (const row of batch) {
         const record = {};
-        for (const col of columns) {
-          let val = row[col.source];
-          // Coerce types for Parquet schema
-          if (col.source === 'id') {
-            val = BigInt(val);
-          } else if (col.source === 'value') {
-            val = parseFloat(val);
-          } else if (col.source === 'created_at') {
-            val = val instanceof Date ? val : new Date(val);
-          } else if (col.source === 'metadata' && typeof val === 'object') {
-            val = JSON.stringify(val);
-          }
-          record[col.target] = val;
+        for (const { col, convert } of fields) {
+          record[col.target] = convert(row[col.key]);
         }
+        // Only awaits real I/O when the row completes a row group
         await writer.appendRow(record);
       }
+    };
+
+    await appendBatch(sample);
+    for await (const batch of rowGenerator) {
+      await appendBatch(batch);
     }
 
+    // Writes the last row group and the footer; in streaming mode also ends `res`
     await writer.close();
+    if (!tmpFile) return;
 
     // Stream completed file to response
     await new Promise((resolve, reject) => {
@@ -100,11 +394,14 @@ async function writeParquet(res, rowGenerator, columns) {
     });
   } catch (err) {
     console.error('[parquetWriter] error:', err.message);
+    // The sample batch is read outside the for-await loop, which would close it
+    rowGenerator.return().catch(() => {});
     if (!res.writableEnded) res.end();
+    throw err;
   } finally {
     // Clean up temp file
-    fs.unlink(tmpFile, () => {});
+    if (tmpFile) fs.unlink(tmpFile, () => {});
   }
 }
 
-module.exports = { writeParquet };
+module.exports = { writeParquet, validateParquetOptions };
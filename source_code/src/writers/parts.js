@@ -0,0 +1,208 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const { exportFileName, createFileResponse, closeFileResponse } = require('../artifacts');
+
+/**
+ * Splits an export into part files — `part-00001.csv`, `part-00002.csv`, … —
+ * each a complete file of the job's format (CSV with its header, a JSON
+ * array, an XML document, a Parquet file...), streamed as one ZIP or tar
+ * archive that ends with a `manifest.json` listing the parts.
+ *
+ * Each part is written by the format's writer into a temporary file under
+ * PART_TMP_DIR, hashed, appended to the archive and deleted before the next
+ * one starts, so at most one part is on disk at a time.
+ */
+
+const TMP_DIR = process.env.PART_TMP_DIR || '/tmp/export-parts';
+
+const ARCHIVE_TYPES = { zip: 'application/zip', tar: 'application/x-tar' };
+const MIN_BYTES_PER_FILE = 1024 * 1024;
+
+// Compressed already: stored in a ZIP as they are
+const COMPRESSED_FORMATS = new Set(['parquet', 'avro', 'xlsx']);
+
+/**
+ * Validates `maxRowsPerFile`, `maxBytesPerFile` and `archive`. Throws with a
+ * client-facing message.
+ * @param {{maxRowsPerFile?: *, maxBytesPerFile?: *, archive?: *}} options
+ * @returns {string|undefined} the archive type when the export is split
+ */
+function validateSplitOptions({ maxRowsPerFile, maxBytesPerFile, archive }) {
+  if (maxRowsPerFile !== undefined && !(Number.isSafeInteger(maxRowsPerFile) && maxRowsPerFile > 0)) {
+    throw new Error('"maxRowsPerFile" must be a positive integer.');
+  }
+  if (
+    maxBytesPerFile !== undefined &&
+    !(Number.isSafeInteger(maxBytesPerFile) && maxBytesPerFile >= MIN_BYTES_PER_FILE)
+  ) {
+    throw new Error(`"maxBytesPerFile" must be an integer of at least ${MIN_BYTES_PER_FILE} (1 MiB).`);
+  }
+  const split = maxRowsPerFile !== undefined || maxBytesPerFile !== undefined;
+  if (archive === undefined) return split ? 'zip' : undefined;
+  if (!Object.hasOwn(ARCHIVE_TYPES, archive)) {
+    throw new Error(`Invalid "archive". Must be one of: ${Object.keys(ARCHIVE_TYPES).join(', ')}.`);
+  }
+  if (!split) {
+    throw new Error('"archive" requires "maxRowsPerFile" or "maxBytesPerFile".');
+  }
+  return archive;
+}
+
+/**
+ * Size and SHA-256 of a file.
+ * @param {string} file
+ * @returns {Promise<{size: number, sha256: string}>}
+ */
+async function digest(file) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Appends a file to the archive and waits until it has been read, or the
+ * archive failed or was closed.
+ * @param {import('archiver').Archiver} bundle
+ * @param {string} file
+ * @param {object} data - archiver entry data
+ * @returns {Promise<void>}
+ */
+function appendEntry(bundle, file, data) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      bundle.removeListener('entry', onEntry);
+      bundle.removeListener('error', onError);
+      bundle.removeListener('close', onClose);
+    };
+    const onEntry = (entry) => {
+      if (entry.name !== data.name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed before the export finished.'));
+    };
+    bundle.on('entry', onEntry);
+    bundle.on('error', onError);
+    bundle.on('close', onClose);
+    bundle.append(fs.createReadStream(file), data);
+  });
+}
+
+/**
+ * Streams a split export as an archive of part files plus `manifest.json`.
+ *
+ * A part ends once it holds `maxRowsPerFile` rows, or at the first batch
+ * boundary after `maxBytesPerFile` bytes have reached its file; bytes still
+ * buffered by the writer (a compressor's block, a Parquet row group) are not counted
+ * yet, so parts may run over that size. An export with no rows has a single
+ * empty part.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>} rowGenerator
+ * @param {{exportId?: string, format: string, compression: string|null, maxRowsPerFile?: number|null, maxBytesPerFile?: number|null, archive: string}} job
+ * @param {(sink: import('stream').Writable, rows: AsyncGenerator<object[]>) => Promise<void>} writePart
+ *   - writes one part with the format's writer
+ */
+async function writeParts(res, rowGenerator, job, writePart) {
+  const { format, compression, maxRowsPerFile, maxBytesPerFile, archive } = job;
+  res.setHeader('Content-Type', ARCHIVE_TYPES[archive]);
+  res.setHeader('Content-Disposition', `attachment; filename="export.${archive}"`);
+
+  // A row limit can end a part in the middle of a batch; the rest starts the next
+  let pending = [];
+  let exhausted = false;
+  const hasMoreRows = async () => {
+    while (!pending.length && !exhausted) {
+      const { value, done } = await rowGenerator.next();
+      if (done) exhausted = true;
+      else pending = value;
+    }
+    return pending.length > 0;
+  };
+
+  async function* partRows(sink, part) {
+    while (
+      !(maxRowsPerFile && part.rows >= maxRowsPerFile) &&
+      !(maxBytesPerFile && sink.bytesWritten + sink.writableLength >= maxBytesPerFile) &&
+      (await hasMoreRows())
+    ) {
+      let batch = pending;
+      pending = [];
+      if (maxRowsPerFile && part.rows + batch.length > maxRowsPerFile) {
+        pending = batch.slice(maxRowsPerFile - part.rows);
+        batch = batch.slice(0, maxRowsPerFile - part.rows);
+      }
+      part.rows += batch.length;
+      yield batch;
+    }
+  }
+
+  const bundle = archiver(archive);
+  // pipeline() destroys the archive if res closes early, failing the pending entry
+  pipeline(bundle, res, (err) => {
+    if (err) console.error('[parts] pipeline error:', err.message);
+  });
+
+  const parts = [];
+  try {
+    await fs.promises.mkdir(TMP_DIR, { recursive: true });
+    do {
+      const name = exportFileName({ format, compression }, `part-${String(parts.length + 1).padStart(5, '0')}`);
+      const file = path.join(TMP_DIR, `${uuidv4()}-${name}`);
+      const sink = createFileResponse(file);
+      const part = { rows: 0 };
+      try {
+        await writePart(sink, partRows(sink, part));
+        await closeFileResponse(sink);
+        const { size, sha256 } = await digest(file);
+        await appendEntry(bundle, file, {
+          name,
+          store: Boolean(compression) || COMPRESSED_FORMATS.has(format),
+        });
+        parts.push({ file: name, rows: part.rows, bytes: size, sha256 });
+      } finally {
+        sink.destroy();
+        fs.unlink(file, () => {});
+      }
+    } while (await hasMoreRows());
+
+    const manifest = {
+      exportId: job.exportId,
+      format,
+      compression: compression || null,
+      createdAt: new Date().toISOString(),
+      totalRows: parts.reduce((sum, part) => sum + part.rows, 0),
+      totalBytes: parts.reduce((sum, part) => sum + part.bytes, 0),
+      parts,
+    };
+    bundle.append(`${JSON.stringify(manifest, null, 2)}\n`, { name: 'manifest.json' });
+    await bundle.finalize();
+    // Resolve only once the archive's last bytes have reached res
+    await finished(res, { readable: false });
+  } catch (err) {
+    console.error('[parts] stream error:', err.message);
+    bundle.destroy(err);
+    rowGenerator.return().catch(() => {});
+    if (!res.writableEnded) res.end();
+    throw err;
+  }
+}
+
+module.exports = { writeParts, validateSplitOptions, TMP_DIR, COMPRESSED_FORMATS, digest, appendEntry };
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Helpers for writers that must declare a typed schema before the first row
+ * (Avro, Parquet): the precision and scale of `decimal` columns and the shape
+ * of JSONB documents, either inferred from a sample of rows or declared on
+ * the job.
+ *
+ * A shape describes a JSON value independently of the output format:
+ *
+ *   { kind: 'string' | 'double' | 'long' | 'boolean' }
+ *   { kind: 'array',  items: shape|null }
+ *   { kind: 'record', fields: Map<string, shape|null> }
+ *
+ * `null` means nothing is known (only nulls were seen).
+ */
+
+// Decimals whose precision or scale PostgreSQL does not fix (plain NUMERIC,
+// computed values) are written as DECIMAL(38, 9), the widest precision
+// Parquet and Avro readers commonly accept
+const DEFAULT_DECIMAL_PRECISION = 38;
+const DEFAULT_DECIMAL_SCALE = 9;
+
+const SCALAR_KINDS = new Set(['string', 'double', 'long', 'boolean']);
+const MAX_SCHEMA_DEPTH = 8;
+
+/**
+ * The precision and scale a `decimal` column is written with.
+ * @param {import('../columns').Column} col
+ * @returns {{precision: number, scale: number}}
+ */
+function decimalFormat(col) {
+  const scale = col.scale ?? DEFAULT_DECIMAL_SCALE;
+  const precision = col.precision ?? Math.max(DEFAULT_DECIMAL_PRECISION, scale);
+  return { precision, scale };
+}
+
+/**
+ * Bytes of the smallest two's-complement integer holding every unscaled
+ * value of the given precision, e.g. 8 for DECIMAL(18, s).
+ * @param {number} precision
+ * @returns {number}
+ */
+function decimalByteLength(precision) {
+  const max = 10n ** BigInt(precision) - 1n;
+  let length = 1;
+  while (max >= 1n << BigInt(8 * length - 1)) length += 1;
+  return length;
+}
+
+/**
+ * Converts a numeric string (pg returns NUMERIC as text) to the unscaled
+ * integer of a decimal with the given precision and scale, e.g. "12.34" at
+ * scale 4 → 123400n. Throws rather than round or truncate a value that does
+ * not fit, since a silently altered number is worse than a failed export.
+ * @param {string|number} value
+ * @param {{precision: number, scale: number}} format
+ * @returns {bigint}
+ */
+function toUnscaledDecimal(value, { precision, scale }) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(String(value));
+  if (!match) throw new Error(`Invalid decimal value: ${value}`);
+  const [, sign, whole, fraction = ''] = match;
+  const unscaled = BigInt((whole || '0') + fraction.slice(0, scale).padEnd(scale, '0'));
+  if (/[1-9]/.test(fraction.slice(scale)) || unscaled >= 10n ** BigInt(precision)) {
+    throw new Error(`Decimal value ${value} does not fit DECIMAL(${precision}, ${scale}).`);
+  }
+  return sign ? -unscaled : unscaled;
+}
+
+/**
+ * Encodes an unscaled decimal as big-endian two's-complement bytes: the
+ * fewest that hold it (Avro `bytes`), or exactly `length` (fixed-length).
+ * @param {bigint} unscaled
+ * @param {number} [length]
+ * @returns {Buffer}
+ */
+function toDecimalBytes(unscaled, length = 0) {
+  const bytes = [];
+  let byte;
+  do {
+    byte = Number(BigInt.asUintN(8, unscaled));
+    bytes.unshift(byte);
+    unscaled >>= 8n;
+  } while (!((unscaled === 0n && byte < 0x80) || (unscaled === -1n && byte >= 0x80)));
+  // The remaining sign (0 or -1) extends to the left
+  while (bytes.length < length) bytes.unshift(unscaled === 0n ? 0 : 0xff);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Describes the JSON shape of a sampled value. Numbers are always `double`,
+ * since a sample cannot prove a field only ever holds integers.
+ * @param {*} value
+ * @returns {object|null}
+ */
+function shapeOf(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return { kind: 'boolean' };
+  if (typeof value === 'number') return { kind: 'double' };
+  if (typeof value === 'string') return { kind: 'string' };
+  if (Array.isArray(value)) {
+    return { kind: 'array', items: value.reduce((acc, item) => mergeShapes(acc, shapeOf(item)), null) };
+  }
+  const fields = new Map();
+  for (const [key, child] of Object.entries(value)) {
+    fields.set(key, shapeOf(child));
+  }
+  return { kind: 'record', fields };
+}
+
+/**
+ * Merges the shapes of two samples; incompatible shapes collapse to
+ * `string` (the value's JSON text).
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {object|null}
+ */
+function mergeShapes(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.kind !== b.kind) return { kind: 'string' };
+  if (a.kind === 'array') return { kind: 'array', items: mergeShapes(a.items, b.items) };
+  if (a.kind === 'record') {
+    const fields = new Map(a.fields);
+    for (const [key, shape] of b.fields) {
+      fields.set(key, mergeShapes(fields.get(key) || null, shape));
+    }
+    return { kind: 'record', fields };
+  }
+  return a;
+}
+
+/**
+ * Infers the shape of a JSON column from a sample of rows.
+ * @param {object[]} rows
+ * @param {string} source - column name
+ * @returns {object|null}
+ */
+function inferShape(rows, source) {
+  return rows.reduce((acc, row) => mergeShapes(acc, shapeOf(row[source])), null);
+}
+
+/**
+ * Converts a declared schema into a shape. Declarations mirror the JSON
+ * document: a type name for scalars, a one-element array for lists and an
+ * object for nested documents, e.g.
+ *
+ *   { "region": "string", "score": "double", "tags": ["string"],
+ *     "address": { "city": "string", "zip": "string" } }
+ *
+ * Throws with a client-facing message on an invalid declaration.
+ * @param {*} declaration
+ * @param {string} path - for error messages
+ * @param {number} [depth]
+ * @returns {object}
+ */
+function shapeFromDeclaration(declaration, path, depth = 0) {
+  if (depth > MAX_SCHEMA_DEPTH) {
+    throw new Error(`"${path}" is nested more than ${MAX_SCHEMA_DEPTH} levels deep.`);
+  }
+  if (typeof declaration === 'string' && SCALAR_KINDS.has(declaration)) {
+    return { kind: declaration };
+  }
+  if (Array.isArray(declaration) && declaration.length === 1) {
+    return { kind: 'array', items: shapeFromDeclaration(declaration[0], `${path}[0]`, depth + 1) };
+  }
+  if (declaration && typeof declaration === 'object' && !Array.isArray(declaration)) {
+    const entries = Object.entries(declaration);
+    if (entries.length === 0) throw new Error(`"${path}" must declare at least one field.`);
+    const fields = new Map();
+    for (const [key, child] of entries) {
+      fields.set(key, shapeFromDeclaration(child, `${path}.${key}`, depth + 1));
+    }
+    return { kind: 'record', fields };
+  }
+  throw new Error(
+    `Invalid type at "${path}": use one of ${[...SCALAR_KINDS].join(', ')}, a one-element array or an object.`
+  );
+}
+
+/**
+ * Coerces a JSON value to fit a shape. Keys the shape does not know are
+ * dropped and values of a different type become null.
+ * @param {object|null} shape
+ * @param {*} value
+ * @returns {*}
+ */
+function coerceToShape(shape, value) {
+  if (value === null || value === undefined) return null;
+  switch (shape ? shape.kind : 'string') {
+    case 'string':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'double':
+      return typeof value === 'number' ? value : null;
+    case 'long':
+      return Number.isSafeInteger(value) ? value : null;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : null;
+    case 'array':
+      return Array.isArray(value) ? value.map((item) => coerceToShape(shape.items, item)) : null;
+    case 'record': {
+      if (typeof value !== 'object' || Array.isArray(value)) return null;
+      const record = {};
+      for (const [key, child] of shape.fields) {
+        record[key] = coerceToShape(child, value[key]);
+      }
+      return record;
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  decimalFormat,
+  decimalByteLength,
+  toUnscaledDecimal,
+  toDecimalBytes,
+  inferShape,
+  shapeFromDeclaration,
+  coerceToShape,
+};
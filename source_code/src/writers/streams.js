@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Waits for a writable to drain after `write()` returned false.
+ *
+ * A plain `once('drain')` never settles if the stream is destroyed while we
+ * wait (client disconnect, cancelled export), which would leave the writer —
+ * and the cursor feeding it — hanging forever. This rejects on 'close' and
+ * 'error' instead.
+ *
+ * @param {import('stream').Writable} stream
+ * @returns {Promise<void>}
+ */
+function waitForDrain(stream) {
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Output stream closed before the export finished.'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.removeListener('drain', onDrain);
+      stream.removeListener('close', onClose);
+      stream.removeListener('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed before the export finished.'));
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onError);
+  });
+}
+
+module.exports = { waitForDrain };
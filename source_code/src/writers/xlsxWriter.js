@@ -0,0 +1,122 @@
+'use strict';
+
+const ExcelJS = require('exceljs');
+const { waitForDrain } = require('./streams');
+
+// Excel's hard limit per worksheet, including our header row
+const MAX_SHEET_ROWS = 1_048_576;
+const SHEET_NAME = 'Export';
+
+/**
+ * Cell formatting and conversion from the pg value for a column's output
+ * type. Numbers and timestamps become numeric and date cells so Excel does
+ * not reinterpret them; JSON is kept as its text. Excel numbers are doubles,
+ * so BIGINTs beyond 2^53 are written as text cells rather than rounded.
+ * @param {string} type
+ * @returns {{numFmt?: string, width: number, convert: (val: *) => *}}
+ */
+function getXlsxColumnType(type) {
+  switch (type) {
+    case 'long':
+      // pg returns BIGINT as a string
+      return {
+        width: 12,
+        convert: (val) => {
+          const num = Number(val);
+          return Number.isSafeInteger(num) ? num : String(val);
+        },
+      };
+    case 'double':
+      return { width: 14, convert: (val) => Number(val) };
+    case 'decimal':
+      return { numFmt: '0.0000', width: 14, convert: (val) => parseFloat(val) };
+    case 'timestamp':
+      return {
+        numFmt: 'yyyy-mm-dd hh:mm:ss',
+        width: 20,
+        convert: (val) => (val instanceof Date ? val : new Date(val)),
+      };
+    case 'boolean':
+      return { width: 10, convert: (val) => val };
+    case 'json':
+      return { width: 60, convert: (val) => (typeof val === 'string' ? val : JSON.stringify(val)) };
+    default:
+      return { width: 20, convert: (val) => val };
+  }
+}
+
+/**
+ * Streams rows into an Excel workbook using ExcelJS's streaming writer.
+ *
+ * Each row is committed as soon as it is added, so it is serialised into the
+ * zip stream and released instead of being held by the workbook. The header
+ * row uses the `target` names, is bold and stays frozen while scrolling. A
+ * sheet holds at most 1,048,575 data rows; the next row starts a new sheet
+ * ("Export 2", "Export 3", …) with its own header.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {AsyncGenerator<object[]>}      rowGenerator
+ * @param {import('../columns').Column[]} columns
+ */
+async function writeXlsx(res, rowGenerator, columns) {
+  // XLSX is a zip package already, so no gzip wrapper
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', 'attachment; filename="export.xlsx"');
+
+  const types = columns.map((col) => getXlsxColumnType(col.type));
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    // Shared strings would keep every distinct string in memory until the end
+    useSharedStrings: false,
+  });
+
+  let sheetCount = 0;
+  let sheet;
+  let sheetRows = 0;
+
+  const addSheet = () => {
+    if (sheet) sheet.commit();
+    sheetCount += 1;
+    sheet = workbook.addWorksheet(sheetCount === 1 ? SHEET_NAME : `${SHEET_NAME} ${sheetCount}`, {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    sheet.columns = columns.map((col, i) => ({
+      header: col.target,
+      width: Math.max(types[i].width, col.target.length + 2),
+      style: types[i].numFmt ? { numFmt: types[i].numFmt } : {},
+    }));
+    const header = sheet.getRow(1);
+    header.font = { bold: true };
+    header.commit();
+    sheetRows = 1;
+  };
+
+  try {
+    addSheet();
+
+    for await (const batch of rowGenerator) {
+      for (const row of batch) {
+        if (sheetRows === MAX_SHEET_ROWS) addSheet();
+        sheet
+          .addRow(columns.map((col, i) => (row[col.key] === null ? null : types[i].convert(row[col.key]))))
+          .commit();
+        sheetRows += 1;
+      }
+      // The zip stream is piped into `res`; pause between batches while it is full
+      if (res.writableNeedDrain) await waitForDrain(res);
+    }
+
+    sheet.commit();
+    // Resolves once the zip is finalised and `res` has finished
+    await workbook.commit();
+  } catch (err) {
+    console.error('[xlsxWriter] error:', err.message);
+    workbook.zip.unpipe(res);
+    workbook.zip.abort();
+    if (!res.writableEnded) res.end();
+    throw err;
+  }
+}
+
+module.exports = { writeXlsx };
@@ -1,91 +1,332 @@
 'use strict';
 
-const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const { waitForDrain } = require('./streams');
+const { setAttachmentHeaders, createCompressor } = require('./compression');
+
+// ── Options ──────────────────────────────────────────────────────────────────
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Element and attribute names: an ASCII subset of XML's NCName
+const XML_NAME = /^[A-Za-z_][A-Za-z0-9._-]{0,127}$/;
+const NAMESPACE_URI = /^[^\s"<>&]{1,2048}$/;
+const NULL_MODES = new Set(['empty', 'nil', 'omit']);
+const MAX_NAMESPACES = 16;
+
+/**
+ * Validates the column targets of an XML job, which become element or
+ * attribute names, and its `xmlOptions`. Throws with a client-facing message.
+ * @param {object|undefined} options
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ */
+function validateXmlOptions(options, columns) {
+  for (const col of columns) {
+    if (!XML_NAME.test(col.target)) {
+      throw new Error(
+        `Invalid XML element name "${col.target}": start with a letter or "_", then use letters, digits, ".", "_" or "-".`
+      );
+    }
+  }
+  if (new Set(columns.map((col) => col.target)).size !== columns.length) {
+    throw new Error('XML element names ("target") must be unique.');
+  }
+
+  if (options === undefined || options === null) return;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"xmlOptions" must be an object.');
+  }
+
+  const { rootElement, rowElement, itemElement, namespace, prefix, namespaces, attributes, pretty, nulls, ...rest } =
+    options;
+  const unknown = Object.keys(rest);
+  if (unknown.length) {
+    throw new Error(`Unknown "xmlOptions" field: ${unknown[0]}`);
+  }
+  for (const [field, name] of Object.entries({ rootElement, rowElement, itemElement })) {
+    if (name !== undefined && (typeof name !== 'string' || !XML_NAME.test(name))) {
+      throw new Error(`Invalid "xmlOptions.${field}": must be a valid XML element name.`);
+    }
+  }
+
+  if (namespace !== undefined && (typeof namespace !== 'string' || !NAMESPACE_URI.test(namespace))) {
+    throw new Error('"xmlOptions.namespace" must be a URI of at most 2048 characters.');
+  }
+  if (prefix !== undefined) {
+    if (namespace === undefined) {
+      throw new Error('"xmlOptions.prefix" requires "xmlOptions.namespace".');
+    }
+    validatePrefix(prefix, 'xmlOptions.prefix');
+  }
+  if (namespaces !== undefined) {
+    if (!namespaces || typeof namespaces !== 'object' || Array.isArray(namespaces)) {
+      throw new Error('"xmlOptions.namespaces" must map prefixes to namespace URIs.');
+    }
+    const entries = Object.entries(namespaces);
+    if (entries.length > MAX_NAMESPACES) {
+      throw new Error(`"xmlOptions.namespaces" declares more than ${MAX_NAMESPACES} namespaces.`);
+    }
+    for (const [name, uri] of entries) {
+      validatePrefix(name, `xmlOptions.namespaces.${name}`);
+      if (name === prefix) {
+        throw new Error(`"xmlOptions.namespaces.${name}" redeclares "xmlOptions.prefix".`);
+      }
+      if (typeof uri !== 'string' || !NAMESPACE_URI.test(uri)) {
+        throw new Error(`"xmlOptions.namespaces.${name}" must be a URI of at most 2048 characters.`);
+      }
+    }
+  }
+
+  if (attributes !== undefined) {
+    if (!Array.isArray(attributes)) {
+      throw new Error('"xmlOptions.attributes" must be an array of column targets.');
+    }
+    for (const target of attributes) {
+      const col = columns.find((c) => c.target === target);
+      if (!col) {
+        throw new Error(`"xmlOptions.attributes" names an unknown column target: ${JSON.stringify(target)}`);
+      }
+      if (col.type === 'json') {
+        throw new Error(`Column "${target}" holds JSON and cannot be written as an attribute.`);
+      }
+    }
+    if (new Set(attributes).size !== attributes.length) {
+      throw new Error('"xmlOptions.attributes" must not repeat a column.');
+    }
+  }
+
+  if (pretty !== undefined && typeof pretty !== 'boolean') {
+    throw new Error('"xmlOptions.pretty" must be a boolean.');
+  }
+  if (nulls !== undefined && !NULL_MODES.has(nulls)) {
+    throw new Error(`Invalid "xmlOptions.nulls". Must be one of: ${[...NULL_MODES].join(', ')}.`);
+  }
+}
+
+/**
+ * Validates a namespace prefix. `xml…` prefixes are reserved by XML itself
+ * and `xsi` is declared by the writer for `nulls: "nil"`.
+ * @param {*} prefix
+ * @param {string} option - option name for error messages
+ */
+function validatePrefix(prefix, option) {
+  if (typeof prefix !== 'string' || !XML_NAME.test(prefix) || /^xml/i.test(prefix) || prefix === 'xsi') {
+    throw new Error(`Invalid "${option}": must be an XML name other than "xsi" and not starting with "xml".`);
+  }
+}
+
+/**
+ * The document layout of a job: its `xmlOptions` with defaults applied and
+ * the columns split into attributes and child elements. Shared with the XSD
+ * generator so the schema describes exactly what the writer emits.
+ * @param {import('../columns').Column[]} columns
+ * @param {object|null} [options] - validated `xmlOptions`
+ * @returns {object}
+ */
+function resolveXmlLayout(columns, options) {
+  const {
+    rootElement = 'records',
+    rowElement = 'record',
+    itemElement = 'item',
+    namespace = null,
+    prefix = null,
+    namespaces = {},
+    attributes = [],
+    pretty = true,
+    nulls = 'empty',
+  } = options || {};
+  const attributeTargets = new Set(attributes);
+  return {
+    rootElement,
+    rowElement,
+    itemElement,
+    namespace,
+    prefix,
+    namespaces,
+    pretty,
+    nulls,
+    attributeColumns: columns.filter((col) => attributeTargets.has(col.target)),
+    elementColumns: columns.filter((col) => !attributeTargets.has(col.target)),
+    qualify: prefix ? (name) => `${prefix}:${name}` : (name) => name,
+  };
+}
+
+// ── Serialisation ────────────────────────────────────────────────────────────
+
+/**
+ * Escapes text for element content or a double-quoted attribute value.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Lexical form of a scalar, as the XSD types expect it: timestamps as
+ * xs:dateTime, non-finite doubles as `INF`, `-INF` and `NaN`.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatScalar(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    if (Number.isNaN(value)) return 'NaN';
+    return value > 0 ? 'INF' : '-INF';
+  }
+  return String(value);
+}
 
 /**
  * Converts a JS value (including nested objects/arrays) to XML element strings.
+ * Keys inside JSON documents are data, so they are made into valid names
+ * rather than rejected.
  * @param {string} tagName
  * @param {*}      value
+ * @param {object} layout - see resolveXmlLayout
  * @returns {string}
  */
-function valueToXml(tagName, value) {
+function valueToXml(tagName, value, layout) {
   // Sanitise tag names (XML element names cannot start with a digit or contain spaces)
-  const safe = tagName.replace(/[^a-zA-Z0-9_\-\.]/g, '_').replace(/^(\d)/, '_$1');
+  const safe = layout.qualify(tagName.replace(/[^a-zA-Z0-9_\-\.]/g, '_').replace(/^([\d.-]|$)/, '_$1'));
 
   if (value === null || value === undefined) {
     return `<${safe}/>`;
   }
 
   if (Array.isArray(value)) {
-    return `<${safe}>${value.map((v, i) => valueToXml('item', v)).join('')}</${safe}>`;
+    return `<${safe}>${value.map((v) => valueToXml(layout.itemElement, v, layout)).join('')}</${safe}>`;
   }
 
-  if (typeof value === 'object') {
+  if (typeof value === 'object' && !(value instanceof Date)) {
     const inner = Object.entries(value)
-      .map(([k, v]) => valueToXml(k, v))
+      .map(([k, v]) => valueToXml(k, v, layout))
       .join('');
     return `<${safe}>${inner}</${safe}>`;
   }
 
-  // Escape special XML characters
-  const escaped = String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+  return `<${safe}>${escapeXml(formatScalar(value))}</${safe}>`;
+}
 
-  return `<${safe}>${escaped}</${safe}>`;
+/**
+ * Serialises one row: attribute columns on the row element, the others as
+ * child elements. A NULL attribute is left out; a NULL element follows
+ * `layout.nulls`.
+ * @param {object} row
+ * @param {object} layout
+ * @returns {string}
+ */
+function rowToXml(row, layout) {
+  const { qualify, pretty } = layout;
+  let attrs = '';
+  for (const col of layout.attributeColumns) {
+    const value = row[col.key];
+    if (value === null || value === undefined) continue;
+    // Attribute values are whitespace-normalised by parsers unless encoded
+    const escaped = escapeXml(formatScalar(value))
+      .replace(/\t/g, '&#9;')
+      .replace(/\n/g, '&#10;')
+      .replace(/\r/g, '&#13;');
+    attrs += ` ${col.target}="${escaped}"`;
+  }
+
+  let xml = `${pretty ? '  ' : ''}<${qualify(layout.rowElement)}${attrs}>${pretty ? '\n' : ''}`;
+  for (const col of layout.elementColumns) {
+    const value = row[col.key];
+    let element;
+    if (value !== null && value !== undefined) {
+      element = valueToXml(col.target, value, layout);
+    } else if (layout.nulls === 'omit') {
+      continue;
+    } else if (layout.nulls === 'nil') {
+      element = `<${qualify(col.target)} xsi:nil="true"/>`;
+    } else {
+      element = `<${qualify(col.target)}/>`;
+    }
+    xml += pretty ? `    ${element}\n` : element;
+  }
+  return `${xml}${pretty ? '  ' : ''}</${qualify(layout.rowElement)}>${pretty ? '\n' : ''}`;
+}
+
+/**
+ * Opening root tag with the namespace declarations.
+ * @param {object} layout
+ * @returns {string}
+ */
+function openRoot(layout) {
+  let declarations = '';
+  if (layout.namespace) {
+    declarations += ` xmlns${layout.prefix ? `:${layout.prefix}` : ''}="${escapeXml(layout.namespace)}"`;
+  }
+  for (const [prefix, uri] of Object.entries(layout.namespaces)) {
+    declarations += ` xmlns:${prefix}="${escapeXml(uri)}"`;
+  }
+  if (layout.nulls === 'nil') declarations += ` xmlns:xsi="${XSI_NAMESPACE}"`;
+  return `<${layout.qualify(layout.rootElement)}${declarations}>`;
 }
 
 /**
  * Streams rows as a valid XML document to the HTTP response.
- * Structure: <records><record>…</record></records>
+ * Structure: <records><record>…</record></records>, renamed, namespaced and
+ * laid out by the job's `xmlOptions` (see resolveXmlLayout).
  *
  * @param {import('http').ServerResponse} res
  * @param {AsyncGenerator<object[]>}      rowGenerator
- * @param {Array<{source:string, target:string}>} columns
- * @param {boolean} compress
+ * @param {import('../columns').Column[]} columns
+ * @param {import('./compression').Compression|null} compression
+ * @param {object}  [options] - the job's `xmlOptions`, plus:
+ * @param {boolean} [options.continuation] - resumed segment: omit the prolog and
+ *   opening root tag, keep the closing one
  */
-async function writeXml(res, rowGenerator, columns, compress = false) {
+async function writeXml(res, rowGenerator, columns, compression = null, options = {}) {
   res.setHeader('Content-Type', 'application/xml');
-  res.setHeader(
-    'Content-Disposition',
-    'attachment; filename="export.xml' + (compress ? '.gz"' : '"')
-  );
-  if (compress) res.setHeader('Content-Encoding', 'gzip');
+  setAttachmentHeaders(res, 'export.xml', compression);
 
-  const sink = compress ? zlib.createGzip() : res;
-  if (compress) sink.pipe(res);
+  const { continuation, ...xmlOptions } = options;
+  const layout = resolveXmlLayout(columns, xmlOptions);
+  const newline = layout.pretty ? '\n' : '';
+
+  const sink = compression ? createCompressor(compression) : res;
+  if (compression) {
+    pipeline(sink, res, (err) => {
+      if (err) console.error('[xmlWriter] pipeline error:', err.message);
+    });
+  }
 
   const write = (chunk) => {
     const ok = sink.write(chunk, 'utf8');
-    if (!ok) return new Promise((resolve) => sink.once('drain', resolve));
+    if (!ok) return waitForDrain(sink);
     return Promise.resolve();
   };
 
   try {
-    await write('<?xml version="1.0" encoding="UTF-8"?>\n<records>\n');
+    if (!continuation) {
+      await write(`<?xml version="1.0" encoding="UTF-8"?>${newline}${openRoot(layout)}${newline}`);
+    }
 
     for await (const batch of rowGenerator) {
       let xmlChunk = '';
       for (const row of batch) {
-        xmlChunk += '  <record>\n';
-        for (const col of columns) {
-          xmlChunk += '    ' + valueToXml(col.target, row[col.source]) + '\n';
-        }
-        xmlChunk += '  </record>\n';
+        xmlChunk += rowToXml(row, layout);
       }
       await write(xmlChunk);
     }
 
-    await write('</records>');
+    await write(`</${layout.qualify(layout.rootElement)}>`);
     sink.end();
+    await finished(res, { readable: false });
   } catch (err) {
     console.error('[xmlWriter] stream error:', err.message);
     sink.destroy(err);
     if (!res.writableEnded) res.end();
+    throw err;
   }
 }
 
-module.exports = { writeXml };
+module.exports = { writeXml, validateXmlOptions, resolveXmlLayout, escapeXml };
@@ -0,0 +1,114 @@
+'use strict';
+
+const { resolveXmlLayout, escapeXml } = require('./xmlWriter');
+
+/**
+ * Generates the XML Schema (XSD 1.0) of an XML export, from the same layout
+ * the writer uses: root and row element names, target namespace, attribute
+ * and element columns, and how NULLs are written.
+ *
+ * Column types map to the built-in XSD types. JSON columns hold nested
+ * elements named after the document's keys, which differ from row to row, so
+ * they are declared as mixed content accepting any element.
+ */
+
+const XSD_TYPES = {
+  string: 'xs:string',
+  long: 'xs:long',
+  double: 'xs:double',
+  decimal: 'xs:decimal',
+  boolean: 'xs:boolean',
+  timestamp: 'xs:dateTime',
+};
+
+/**
+ * Declaration of a column written as a child element.
+ * @param {import('../columns').Column} col
+ * @param {object} layout
+ * @param {string} indent
+ * @returns {string}
+ */
+function elementDeclaration(col, layout, indent) {
+  const { nullable } = col;
+  let attrs = `name="${col.target}"`;
+  if (nullable && layout.nulls === 'omit') attrs += ' minOccurs="0"';
+  if (nullable && layout.nulls === 'nil') attrs += ' nillable="true"';
+
+  if (col.type === 'json') {
+    return [
+      `${indent}<xs:element ${attrs}>`,
+      `${indent}  <xs:complexType mixed="true">`,
+      `${indent}    <xs:sequence>`,
+      `${indent}      <xs:any namespace="##any" processContents="skip" minOccurs="0" maxOccurs="unbounded"/>`,
+      `${indent}    </xs:sequence>`,
+      `${indent}  </xs:complexType>`,
+      `${indent}</xs:element>`,
+    ].join('\n');
+  }
+
+  const type = XSD_TYPES[col.type];
+  // A NULL is written as an empty element, which only xs:string accepts as is
+  if (!nullable || layout.nulls !== 'empty' || type === 'xs:string') {
+    return `${indent}<xs:element ${attrs} type="${type}"/>`;
+  }
+  return [
+    `${indent}<xs:element ${attrs}>`,
+    `${indent}  <xs:simpleType>`,
+    `${indent}    <xs:union memberTypes="${type}">`,
+    `${indent}      <xs:simpleType>`,
+    `${indent}        <xs:restriction base="xs:string">`,
+    `${indent}          <xs:length value="0"/>`,
+    `${indent}        </xs:restriction>`,
+    `${indent}      </xs:simpleType>`,
+    `${indent}    </xs:union>`,
+    `${indent}  </xs:simpleType>`,
+    `${indent}</xs:element>`,
+  ].join('\n');
+}
+
+/**
+ * Builds the XSD of a job's XML output.
+ * @param {import('../columns').Column[]} columns - resolved job columns
+ * @param {object|null} [xmlOptions]
+ * @returns {string}
+ */
+function buildXsd(columns, xmlOptions) {
+  const layout = resolveXmlLayout(columns, xmlOptions);
+
+  let schemaAttrs = 'xmlns:xs="http://www.w3.org/2001/XMLSchema"';
+  if (layout.namespace) {
+    const uri = escapeXml(layout.namespace);
+    schemaAttrs += ` targetNamespace="${uri}" xmlns${layout.prefix ? `:${layout.prefix}` : ''}="${uri}"`;
+    schemaAttrs += ' elementFormDefault="qualified"';
+  }
+
+  const elements = layout.elementColumns.map((col) => elementDeclaration(col, layout, '              '));
+  const attributes = layout.attributeColumns.map(
+    (col) =>
+      `            <xs:attribute name="${col.target}" type="${XSD_TYPES[col.type]}"` +
+      `${col.nullable ? '' : ' use="required"'}/>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xs:schema ${schemaAttrs}>`,
+    `  <xs:element name="${layout.rootElement}">`,
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    `        <xs:element name="${layout.rowElement}" minOccurs="0" maxOccurs="unbounded">`,
+    '          <xs:complexType>',
+    '            <xs:sequence>',
+    ...elements,
+    '            </xs:sequence>',
+    ...attributes,
+    '          </xs:complexType>',
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { buildXsd };